@@ -4,14 +4,56 @@ import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { PointerLockControls } from 'three/examples/jsm/controls/PointerLockControls.js';
 import { EXRLoader } from 'three/examples/jsm/loaders/EXRLoader.js';
+import { RoomEnvironment } from 'three/examples/jsm/environments/RoomEnvironment.js';
+import { createCollisionWorld, createMoveResult, getWalkableNormalY } from './src/collision.js';
+import { classifyMesh } from './src/colliderTags.js';
+import { createTour, bindTourPanel } from './src/tour.js';
+import { createHotspots, showInfoCard } from './src/hotspots.js';
+import { createMinimap } from './src/minimap.js';
+import { encodeView, parseView, buildViewUrl } from './src/viewLink.js';
+import { createNavigator } from './src/navigation.js';
+import { createRouteGuide, bindNavigationPanel } from './src/routeGuide.js';
+import { loadSceneManifest } from './src/sceneManifest.js';
+import { createLoadingTracker } from './src/loadingProgress.js';
+import { createChunkStreamer } from './src/streaming.js';
+import { createQuality, bindQualitySelect, getInitialPreset } from './src/quality.js';
+import { createDaylight, bindTimePanel, parseTimeParam } from './src/daylight.js';
+import { createGamepadInput, DEFAULT_GAMEPAD_SETTINGS } from './src/gamepad.js';
+import { createInputBindings, bindControlsMenu } from './src/inputBindings.js';
+import { createTouchHud, bindTouchSettingsPanel } from './src/touchHud.js';
+import { createCameraTransition } from './src/cameraTransition.js';
+import { createVRMode } from './src/vrMode.js';
+import { createColliderEditor, bindColliderEditorPanel, loadColliderFile, getColliderFileUrl } from './src/colliderEditor.js';
+import { createDebugHud, applyReleaseLogging } from './src/debugHud.js';
+import { createAccessibility, bindAccessibilityPanel, bindPlacesList } from './src/accessibility.js';
+import { createI18n, bindLanguageSelect, getInitialLanguage } from './src/i18n.js';
+import { createAnalytics, bindAnalyticsConsent } from './src/analytics.js';
+
+// Release builds keep the console to warnings and errors (?debug restores console.log)
+applyReleaseLogging();
+
+// --------------------- Scene Manifest ---------------------
+// Asset paths, camera, spawn and movement constants for the selected campus (?scene=)
+const manifest = await loadSceneManifest();
+document.title = manifest.name;
+document.querySelector('.top-left').textContent = manifest.name;
+
+// --------------------- Language ---------------------
+// Translations load before anything is labelled (?lang=hi, or the switcher; src/i18n.js)
+const i18n = createI18n();
+await i18n.setLanguage(getInitialLanguage());
+bindLanguageSelect(i18n);
+i18n.subscribe(() => window.loadingScreen.setStrings({
+    retrying: i18n.t('Retrying...'),
+    failed: i18n.t('Loading failed'),
+    ready: i18n.t('Experience Ready!')
+}));
+window.i18n = i18n; // e.g. i18n.chooseLanguage('hi')
 
 // ✅ SMART LOADING MANAGER
-const loadingManager = new THREE.LoadingManager(() => {
-    console.log('All 3D assets loaded!');
-    if (window.onAssetsLoaded) {
-        window.onAssetsLoaded();
-    }
-});
+// Shared by every loader (including the Draco decoder) for logging; the loading screen
+// follows the byte-level loadingTracker set up with the asset loaders below
+const loadingManager = new THREE.LoadingManager();
 
 loadingManager.onProgress = function (url, itemsLoaded, itemsTotal) {
     console.log(`Loading: ${itemsLoaded}/${itemsTotal} - ${url}`);
@@ -23,382 +65,138 @@ loadingManager.onError = function (url) {
 
 // --------------------- Scene & Camera ---------------------
 const scene = new THREE.Scene();
-const camera = new THREE.PerspectiveCamera(40, window.innerWidth / window.innerHeight, 0.1, 1000);
-camera.position.set(250, 20, 0);
-camera.lookAt(0, 0, 0);
+const camera = new THREE.PerspectiveCamera(manifest.camera.fov, window.innerWidth / window.innerHeight, manifest.camera.near, manifest.camera.far);
+camera.position.fromArray(manifest.camera.position);
+camera.lookAt(...manifest.camera.target);
 
 // --------------------- Renderer ---------------------
-const renderer = new THREE.WebGLRenderer({ antialias: true });
-renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
+// Antialiasing is fixed at context creation, so it comes from the stored quality choice
+const initialQuality = getInitialPreset();
+const renderer = new THREE.WebGLRenderer({ antialias: initialQuality.antialias });
+renderer.setPixelRatio(Math.min(window.devicePixelRatio, initialQuality.pixelRatio));
 renderer.setSize(window.innerWidth, window.innerHeight);
 document.body.appendChild(renderer.domElement);
+renderer.domElement.setAttribute('role', 'img');
+i18n.subscribe(() => renderer.domElement.setAttribute('aria-label',
+    i18n.t('3D view of {campus}. Use the Places list or the guided tour to move between locations.', { campus: manifest.name })));
 
 // --------------------- Controls ---------------------
 const orbitControls = new OrbitControls(camera, renderer.domElement);
 orbitControls.enableDamping = true;
-orbitControls.target.set(0, 1, 0);
+orbitControls.target.fromArray(manifest.camera.target);
 orbitControls.update();
 
 const fpsControls = new PointerLockControls(camera, renderer.domElement);
 fpsControls.enabled = false;
 
+// --------------------- Accessibility ---------------------
+// High contrast, reduced motion, field of view and the keyboard Places list (src/accessibility.js)
+const accessibility = createAccessibility({
+    camera,
+    defaultFov: manifest.camera.fov,
+    onChange: ({ reducedMotion }) => {
+        // Damping keeps the view gliding after the pointer stops
+        orbitControls.enableDamping = !reducedMotion;
+    }
+});
+
+bindAccessibilityPanel(accessibility);
+window.accessibility = accessibility; // e.g. accessibility.setSettings({ fov: 60 })
+
+// --------------------- Visit Analytics ---------------------
+// Opt-in and anonymous: where visitors go, their camera mode and how long they stay.
+// Sent to the manifest's analyticsEndpoint, or kept in this browser without one (src/analytics.js)
+const analytics = createAnalytics({
+    sceneName: manifest.name,
+    endpoint: manifest.analyticsEndpoint,
+    getMode: () => (vrMode.isPresenting() ? 'vr' : (activeControls === fpsControls ? 'fps' : 'orbit')),
+    // An orbiting camera hovers high above the campus: what the visitor is looking at is the orbit target.
+    // Orbit samples are tagged with their mode and left out of the heatmap (HEATMAP_MODES)
+    getPosition: (target) => {
+        if (vrMode.isPresenting()) return vrMode.getHeadPosition(target);
+        return target.copy(activeControls === fpsControls ? camera.position : orbitControls.target);
+    },
+    getFootprint: () => minimap.getSnapshot()
+});
+
+bindAnalyticsConsent(analytics);
+document.getElementById('exportHeatmapBtn').addEventListener('click', () => analytics.exportHeatmap());
+window.analytics = analytics; // e.g. analytics.exportHeatmap(), analytics.getSink().getEvents()
+
 // --------------------- Movement ---------------------
 const move = { forward: false, backward: false, left: false, right: false };
-let baseSpeed = 4, runSpeed = 8, isRunning = false;
+let baseSpeed = manifest.movement.walkSpeed, runSpeed = manifest.movement.runSpeed, isRunning = false;
 let velocity = new THREE.Vector3(), direction = new THREE.Vector3();
 
 // Jump / Gravity
-let canJump = true, verticalVelocity = 0, gravity = -20, jumpStrength = 6;
+let canJump = true, verticalVelocity = 0, gravity = manifest.movement.gravity, jumpStrength = manifest.movement.jumpStrength;
 
 // Bunny hop
-let bunnyHopMultiplier = 1, maxBunnyHop = 5;
-
-// Crouch
-let isCrouching = false, crouchOffset = -0.7, crouchSpeed = 1, normalSpeed = baseSpeed;
-let groundHeight = -18.5;
-
-// --------------------- MOBILE CONTROLS ---------------------
-let isMobileDevice = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-let joystickActive = true;
-let joystickVector = new THREE.Vector2(0, 0);
-let rightTouchId = null; // Added missing variable declaration
-
-// Touch controls
-let touchStartX = 0, touchStartY = 0;
-let touchCurrentX = 0, touchCurrentY = 0;
-let touchLookSensitivity = 0.01;
-
-function createMobileControls() {
-    if (!isMobileDevice && window.innerWidth > 768) return;
-
-    const controlsContainer = document.createElement('div');
-    controlsContainer.style.cssText = `
-        position: fixed;
-        bottom: 0;
-        left: 0;
-        right: 0;
-        height: 200px;
-        pointer-events: none;
-        z-index: 1000;
-    `;
-
-    // Joystick
-    const joystickContainer = document.createElement('div');
-    joystickContainer.style.cssText = `
-        position: absolute;
-        bottom: 36px;
-        left: 30px;
-        width: 120px;
-        height: 120px;
-        background: rgba(255, 255, 255, 0.2);
-        border: 3px solid rgba(255, 255, 255, 0.4);
-        border-radius: 50%;
-        pointer-events: auto;
-        touch-action: none;
-    `;
-
-    const joystickKnob = document.createElement('div');
-    joystickKnob.style.cssText = `
-        position: absolute;
-        width: 50px;
-        height: 50px;
-        background: rgba(255, 255, 255, 0.8);
-        border-radius: 50%;
-        top: 50%;
-        left: 50%;
-        transform: translate(-50%, -50%);
-        transition: all 0.1s ease;
-        box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
-    `;
-
-    joystickContainer.appendChild(joystickKnob);
-
-    // Jump Button
-    const jumpButton = document.createElement('div');
-    jumpButton.style.cssText = `
-        position: absolute;
-        bottom: 120px;
-        right: 30px;
-        width: 80px;
-        height: 80px;
-        background: rgba(76, 175, 80, 0.8);
-        border: 3px solid rgba(76, 175, 80, 1);
-        border-radius: 50%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        color: white;
-        font-weight: bold;
-        font-size: 14px;
-        pointer-events: auto;
-        touch-action: none;
-        user-select: none;
-        font-family: 'Inter', sans-serif;
-    `;
-    jumpButton.textContent = 'JUMP';
-
-    // Sprint Button
-    const sprintButton = document.createElement('div');
-    sprintButton.style.cssText = `
-        position: absolute;
-        bottom: 30px;
-        right: 30px;
-        width: 80px;
-        height: 80px;
-        background: rgba(255, 152, 0, 0.8);
-        border: 3px solid rgba(255, 152, 0, 1);
-        border-radius: 50%;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        color: white;
-        font-weight: bold;
-        font-size: 14px;
-        pointer-events: auto;
-        touch-action: none;
-        user-select: none;
-        font-family: 'Inter', sans-serif;
-    `;
-    sprintButton.textContent = 'SPRINT';
-
-    // Camera mode toggle for mobile
-    const cameraModeButton = document.createElement('div');
-    cameraModeButton.style.cssText = `
-        position: absolute;
-        top: 120px;
-        right: 130px;
-        width: 60px;
-        height: 40px;
-        background: rgba(33, 150, 243, 0.8);
-        border: 2px solid rgba(33, 150, 243, 1);
-        border-radius: 20px;
-        display: flex;
-        align-items: center;
-        justify-content: center;
-        color: white;
-        font-weight: bold;
-        font-size: 10px;
-        pointer-events: auto;
-        touch-action: none;
-        user-select: none;
-        font-family: 'Inter', sans-serif;
-    `;
-    cameraModeButton.textContent = 'CAM';
-
-    controlsContainer.appendChild(joystickContainer);
-    controlsContainer.appendChild(jumpButton);
-    controlsContainer.appendChild(sprintButton);
-    controlsContainer.appendChild(cameraModeButton);
-    document.body.appendChild(controlsContainer);
-
-    // Joystick Controls
-    let joystickTouchId = null;
-    const maxJoystickDistance = 35;
-
-    function handleJoystickStart(e) {
-        e.preventDefault();
-        joystickActive = true;
-        joystickTouchId = e.changedTouches ? e.changedTouches[0].identifier : null;
-        joystickKnob.style.transition = 'none';
-    }
-
-    function handleJoystickMove(e) {
-        if (!joystickActive) return;
-
-        let clientX, clientY;
-        if (e.changedTouches) {
-            const touch = Array.from(e.changedTouches).find(t => t.identifier === joystickTouchId);
-            if (!touch) return;
-            clientX = touch.clientX;
-            clientY = touch.clientY;
-        } else {
-            clientX = e.clientX;
-            clientY = e.clientY;
-        }
-
-        const rect = joystickContainer.getBoundingClientRect();
-        const centerX = rect.left + rect.width / 2;
-        const centerY = rect.top + rect.height / 2;
-
-        const deltaX = clientX - centerX;
-        const deltaY = clientY - centerY;
-        const distance = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
-
-        if (distance <= maxJoystickDistance) {
-            joystickKnob.style.transform = `translate(${deltaX - 25}px, ${deltaY - 25}px)`;
-            joystickVector.set(deltaX / maxJoystickDistance, -deltaY / maxJoystickDistance);
-        } else {
-            const normalizedX = (deltaX / distance) * maxJoystickDistance;
-            const normalizedY = (deltaY / distance) * maxJoystickDistance;
-            joystickKnob.style.transform = `translate(${normalizedX - 25}px, ${normalizedY - 25}px)`;
-            joystickVector.set(normalizedX / maxJoystickDistance, -normalizedY / maxJoystickDistance);
-        }
-
-        // Update movement state based on joystick
-        const threshold = 0.2;
-        move.forward = joystickVector.y > threshold;
-        move.backward = joystickVector.y < -threshold;
-        move.left = joystickVector.x < -threshold;
-        move.right = joystickVector.x > threshold;
-    }
-
-    function handleJoystickEnd(e) {
-        if (e.changedTouches && joystickTouchId !== null) {
-            const touch = Array.from(e.changedTouches).find(t => t.identifier === joystickTouchId);
-            if (!touch) return;
-        }
-
-        joystickActive = false;
-        joystickTouchId = null;
-        joystickKnob.style.transition = 'all 0.2s ease';
-        joystickKnob.style.transform = 'translate(-50%, -50%)';
-        joystickVector.set(0, 0);
-
-        // Reset movement
-        move.forward = false;
-        move.backward = false;
-        move.left = false;
-        move.right = false;
-    }
-
-    // Touch events for joystick
-    joystickContainer.addEventListener('touchstart', handleJoystickStart, { passive: false });
-    joystickContainer.addEventListener('touchmove', handleJoystickMove, { passive: false });
-    joystickContainer.addEventListener('touchend', handleJoystickEnd, { passive: false });
-
-    // Mouse events for joystick (for testing on desktop)
-    joystickContainer.addEventListener('mousedown', handleJoystickStart);
-    document.addEventListener('mousemove', (e) => {
-        if (joystickActive && !e.changedTouches) handleJoystickMove(e);
-    });
-    document.addEventListener('mouseup', (e) => {
-        if (joystickActive && !e.changedTouches) handleJoystickEnd(e);
-    });
-
-    // Jump Button
-    function handleJump(e) {
-        e.preventDefault();
-        if (canJump && !isCrouching && activeControls === fpsControls) {
-            const headCheck = checkHeadCollision(camera.position);
-            if (!headCheck.collision) {
-                verticalVelocity = jumpStrength;
-                canJump = false;
-                if (isRunning) bunnyHopMultiplier = Math.min(bunnyHopMultiplier * 1.1, maxBunnyHop);
-            }
-        }
-        jumpButton.style.transform = 'scale(0.9)';
-        setTimeout(() => {
-            jumpButton.style.transform = 'scale(1)';
-        }, 100);
-    }
-
-    jumpButton.addEventListener('touchstart', handleJump, { passive: false });
-    jumpButton.addEventListener('mousedown', handleJump);
-
-    // Sprint Button
-    function handleSprintStart(e) {
-        e.preventDefault();
-        isRunning = true;
-        sprintButton.style.background = 'rgba(255, 152, 0, 1)';
-        sprintButton.style.transform = 'scale(0.95)';
-    }
-
-    function handleSprintEnd(e) {
-        e.preventDefault();
-        isRunning = false;
-        sprintButton.style.background = 'rgba(255, 152, 0, 0.8)';
-        sprintButton.style.transform = 'scale(1)';
-    }
-
-    sprintButton.addEventListener('touchstart', handleSprintStart, { passive: false });
-    sprintButton.addEventListener('touchend', handleSprintEnd, { passive: false });
-    sprintButton.addEventListener('mousedown', handleSprintStart);
-    sprintButton.addEventListener('mouseup', handleSprintEnd);
-
-    // Camera Mode Button
-    cameraModeButton.addEventListener('touchstart', (e) => {
-        e.preventDefault();
-        if (activeControls === orbitControls) {
-            activateFPSControls();
-            camera.rotation.set(0, 0, 0);
-            cameraModeButton.textContent = 'ORBIT';
-        } else {
-            activateOrbitControls();
-            cameraModeButton.textContent = 'CAM';
-        }
-    }, { passive: false });
-
-    // Touch look controls for camera (when in FPS mode)
-    let touchLookActive = false;
-    let lastTouchX = 0, lastTouchY = 0;
-
-    // Store pitch and yaw separately for proper FPS camera control
-    let cameraPitch = 0; // Vertical rotation (around X-axis)
-    let cameraYaw = 0;   // Horizontal rotation (around Y-axis)
-
-    renderer.domElement.addEventListener('touchstart', (e) => {
-        if (activeControls !== fpsControls) return;
-        for (let t of e.changedTouches) {
-            // ignore joystick touch if already assigned
-            if (joystickTouchId !== null && t.identifier === joystickTouchId) continue;
-
-            // if touch starts on right half and we don't have a look finger yet - assign it
-            if (rightTouchId === null && t.clientX > window.innerWidth / 2) {
-                rightTouchId = t.identifier;
-                touchLookActive = true;
-                lastTouchX = t.clientX;
-                lastTouchY = t.clientY;
-            }
-        }
-    }, { passive: true });
-
-    renderer.domElement.addEventListener('touchmove', (e) => {
-        if (activeControls !== fpsControls) return;
-        for (let t of e.changedTouches) {
-            // joystick finger - delegate to existing joystick handler
-            if (joystickTouchId !== null && t.identifier === joystickTouchId) {
-                handleJoystickMove({ changedTouches: [t], preventDefault: () => { } });
-                continue;
-            }
-
-            // look finger
-            if (rightTouchId !== null && t.identifier === rightTouchId) {
-                const deltaX = t.clientX - lastTouchX;
-                const deltaY = t.clientY - lastTouchY;
-
-                cameraYaw -= deltaX * touchLookSensitivity;
-                cameraPitch -= deltaY * touchLookSensitivity;
+let bunnyHopMultiplier = 1, maxBunnyHop = manifest.movement.maxBunnyHop;
+
+// Crouch: held (crouch action) or toggled (crouchToggle, gamepad, mobile button)
+let isCrouching = false, crouchOffset = -manifest.movement.crouchDrop, crouchSpeed = manifest.movement.crouchSpeed, normalSpeed = baseSpeed;
+let crouchHeld = false, crouchToggled = false, crouchBlocked = false;
+
+// Spawn / kill plane: the player is dropped onto the floor below spawnPoint, and anyone
+// falling below killPlaneY is respawned (null = model bottom minus killPlaneMargin)
+const worldSettings = {
+    spawnPoint: new THREE.Vector3().fromArray(manifest.spawn.position),
+    killPlaneY: manifest.spawn.killPlaneY,
+    killPlaneMargin: manifest.spawn.killPlaneMargin,
+    maxSpawnDrop: manifest.spawn.maxSpawnDrop
+};
 
-                cameraPitch = Math.max(-Math.PI / 2, Math.min(Math.PI / 2, cameraPitch));
-                camera.rotation.order = 'YXZ';
-                camera.rotation.y = cameraYaw;
-                camera.rotation.x = cameraPitch;
+// Stairs / ramps: tallest ledge climbed without jumping, steepest walkable slope (degrees)
+const walkSettings = { maxStepHeight: manifest.movement.maxStepHeight, maxSlopeAngle: manifest.movement.maxSlopeAngle };
+let stepEyeOffset = 0; // Eases the camera over step-ups instead of snapping
+const stepSmoothing = 12;
+
+// --------------------- Touch Controls ---------------------
+// Floating joystick, look drag and action buttons (src/touchHud.js), shown on touch screens
+let joystickVector = new THREE.Vector2(0, 0); // Analog stick input (touch or gamepad), y forward
+const lookEuler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+// Turns the FPS camera by yaw/pitch radians, keeping the view short of straight up/down
+function turnCamera(yaw, pitch) {
+    lookEuler.setFromQuaternion(camera.quaternion);
+    lookEuler.y -= yaw;
+    lookEuler.x = THREE.MathUtils.clamp(lookEuler.x - pitch, -Math.PI / 2 + 0.01, Math.PI / 2 - 0.01);
+    camera.quaternion.setFromEuler(lookEuler);
+}
 
-                lastTouchX = t.clientX;
-                lastTouchY = t.clientY;
-            }
-        }
-    }, { passive: true });
-
-    renderer.domElement.addEventListener('touchend', (e) => {
-        for (let t of e.changedTouches) {
-            // joystick ended
-            if (joystickTouchId !== null && t.identifier === joystickTouchId) {
-                handleJoystickEnd({ changedTouches: [t], preventDefault: () => { } });
-                joystickTouchId = null;
-            }
+// Sets joystickVector and the move flags from a stick; shared with the gamepad
+function setStickInput(x, y) {
+    joystickVector.set(x, y);
+    const threshold = 0.2;
+    move.forward = y > threshold;
+    move.backward = y < -threshold;
+    move.left = x < -threshold;
+    move.right = x > threshold;
+}
 
-            // look finger ended
-            if (rightTouchId !== null && t.identifier === rightTouchId) {
-                rightTouchId = null;
-                touchLookActive = false;
-            }
+const touchHud = createTouchHud({
+    domElement: renderer.domElement,
+    isFirstPerson: () => activeControls === fpsControls,
+    onMove: setStickInput,
+    onLook: (yaw, pitch) => {
+        if (!isCameraBusy()) turnCamera(yaw, pitch);
+    },
+    onAction: (action, pressed) => {
+        if (action === 'sprint') isRunning = pressed;
+        if (!pressed) return;
+        if (action === 'jump' && activeControls === fpsControls) tryJump();
+        if (action === 'crouch' && activeControls === fpsControls) {
+            toggleCrouch();
+            touchHud.setActionState('crouch', crouchToggled);
         }
-    }, { passive: true });
-}
+        if (action === 'toggleView') toggleCameraMode();
+    },
+    i18n
+});
 
-// Initialize mobile controls
-createMobileControls();
+bindTouchSettingsPanel(touchHud);
+window.touchHud = touchHud; // e.g. touchHud.setSettings({ visibility: 'on' })
 
 // --------------------- FULLSCREEN BUTTON ---------------------
 function createFullscreenButton() {
@@ -426,7 +224,6 @@ function createFullscreenButton() {
         transition: all 0.2s ease;
         box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
     `;
-    fullscreenButton.textContent = 'FULLSCREEN';
 
     // Hover effects
     fullscreenButton.addEventListener('mouseenter', () => {
@@ -446,7 +243,7 @@ function createFullscreenButton() {
         if (!document.fullscreenElement) {
             // Enter fullscreen
             document.documentElement.requestFullscreen().then(() => {
-                fullscreenButton.textContent = 'EXIT FULLSCREEN';
+                fullscreenButton.textContent = i18n.t('EXIT FULLSCREEN');
                 fullscreenButton.style.background = 'rgba(255, 152, 0, 0.9)';
                 fullscreenButton.style.borderColor = 'rgba(255, 152, 0, 1)';
                 fullscreenButton.style.width = '150px';
@@ -457,7 +254,7 @@ function createFullscreenButton() {
         } else {
             // Exit fullscreen
             document.exitFullscreen().then(() => {
-                fullscreenButton.textContent = 'FULLSCREEN';
+                fullscreenButton.textContent = i18n.t('FULLSCREEN');
                 fullscreenButton.style.background = 'rgba(33, 150, 243, 0.9)';
                 fullscreenButton.style.borderColor = 'rgba(33, 150, 243, 1)';
                 fullscreenButton.style.width = '120px';
@@ -478,18 +275,22 @@ function createFullscreenButton() {
     // Listen for fullscreen changes (when user presses ESC or F11)
     document.addEventListener('fullscreenchange', () => {
         if (document.fullscreenElement) {
-            fullscreenButton.textContent = 'EXIT FULLSCREEN';
+            fullscreenButton.textContent = i18n.t('EXIT FULLSCREEN');
             fullscreenButton.style.background = 'rgba(255, 152, 0, 0.9)';
             fullscreenButton.style.borderColor = 'rgba(255, 152, 0, 1)';
             fullscreenButton.style.width = '150px';
         } else {
-            fullscreenButton.textContent = 'FULLSCREEN';
+            fullscreenButton.textContent = i18n.t('FULLSCREEN');
             fullscreenButton.style.background = 'rgba(33, 150, 243, 0.9)';
             fullscreenButton.style.borderColor = 'rgba(33, 150, 243, 1)';
             fullscreenButton.style.width = '120px';
         }
     });
 
+    i18n.subscribe(() => {
+        fullscreenButton.textContent = i18n.t(document.fullscreenElement ? 'EXIT FULLSCREEN' : 'FULLSCREEN');
+    });
+
     // Add button to page
     document.body.appendChild(fullscreenButton);
 
@@ -499,247 +300,294 @@ function createFullscreenButton() {
 // Create fullscreen button
 createFullscreenButton();
 
-// --------------------- ENHANCED COLLISION SYSTEM ---------------------
-const collidableObjects = [];
-const colliderBoxes = [];
-const cameraBox = new THREE.Box3();
-
-// Enhanced collision box - more realistic player size
-const cameraBoxSize = new THREE.Vector3(0.8, 1.8, 0.8); // Taller for better head collision
-const collisionMargin = 0.025;
-
-// FIXED: Separate collision detection for different movement types
-function checkHorizontalCollision(position) {
-    const testBox = cameraBox.clone();
-    testBox.setFromCenterAndSize(
-        new THREE.Vector3(position.x, position.y + cameraBoxSize.y / 2, position.z),
-        new THREE.Vector3(cameraBoxSize.x, cameraBoxSize.y, cameraBoxSize.z)
-    );
-
-    for (let i = 0; i < colliderBoxes.length; i++) {
-        if (testBox.intersectsBox(colliderBoxes[i])) {
-            return true;
+// --------------------- COPY LINK BUTTON ---------------------
+function createCopyLinkButton() {
+    const copyLinkButton = document.createElement('div');
+    copyLinkButton.style.cssText = `
+        position: fixed;
+        top: 20px;
+        left: calc(50% + 90px);
+        width: 120px;
+        height: 45px;
+        background: rgba(76, 175, 80, 0.9);
+        border: 2px solid rgba(76, 175, 80, 1);
+        border-radius: 25px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: white;
+        font-weight: bold;
+        font-size: 14px;
+        font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', 'Roboto', sans-serif;
+        cursor: pointer;
+        user-select: none;
+        z-index: 2000;
+        transition: all 0.2s ease;
+        box-shadow: 0 4px 12px rgba(0, 0, 0, 0.2);
+    `;
+    i18n.subscribe(() => {
+        copyLinkButton.textContent = i18n.t('COPY LINK');
+        copyLinkButton.title = i18n.t('Copy a link to this view');
+    });
+
+    copyLinkButton.addEventListener('mouseenter', () => {
+        copyLinkButton.style.transform = 'scale(1.05)';
+        copyLinkButton.style.boxShadow = '0 6px 16px rgba(0, 0, 0, 0.3)';
+    });
+
+    copyLinkButton.addEventListener('mouseleave', () => {
+        copyLinkButton.style.transform = 'scale(1)';
+        copyLinkButton.style.boxShadow = '0 4px 12px rgba(0, 0, 0, 0.2)';
+    });
+
+    function showResult(text) {
+        copyLinkButton.textContent = text;
+        setTimeout(() => {
+            copyLinkButton.textContent = i18n.t('COPY LINK');
+        }, 1500);
+    }
+
+    function copyLink() {
+        const url = buildViewUrl(getCurrentViewHash());
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(url).then(() => {
+                showResult(i18n.t('COPIED!'));
+                console.log('Copied view link:', url);
+            }).catch((err) => {
+                console.error('Error copying link:', err);
+                window.prompt(i18n.t('Copy this link:'), url);
+            });
+        } else {
+            // Clipboard API needs https; let the user copy by hand
+            window.prompt(i18n.t('Copy this link:'), url);
         }
     }
-    return false;
+
+    copyLinkButton.addEventListener('click', copyLink);
+    copyLinkButton.addEventListener('touchstart', (e) => {
+        e.preventDefault();
+        copyLink();
+    }, { passive: false });
+
+    document.body.appendChild(copyLinkButton);
+
+    return copyLinkButton;
 }
 
-// FIXED: Dedicated vertical collision check for jumping/falling
-function checkVerticalCollision(position, direction = 'up') {
-    const testBox = cameraBox.clone();
+createCopyLinkButton();
 
-    // For upward movement (jumping), check from head position
-    // For downward movement (falling), check from feet position
-    let testY = position.y + cameraBoxSize.y / 2;
-    if (direction === 'down') {
-        testY = position.y;
-    }
+// --------------------- BVH COLLISION SYSTEM ---------------------
+const collidableObjects = [];
+const collisionWorld = createCollisionWorld();
+const colliderBoxes = collisionWorld.boxes; // Manual boxes, each backed by its own BVH
+scene.add(collisionWorld.debugGroup);
+
+// Player capsule hanging below the camera (eye): feet sit at camera.y - eyeHeight
+const playerCapsule = {
+    radius: manifest.movement.radius,
+    height: manifest.movement.height,
+    eyeHeight: manifest.movement.eyeHeight
+};
+const headClearance = 0.3; // Free space needed above the head to jump
+const moveResult = createMoveResult();
 
-    testBox.setFromCenterAndSize(
-        new THREE.Vector3(position.x, testY, position.z),
-        cameraBoxSize
-    );
+// Collider tagging: glTF extras first; ?nameColliders opts into the old name heuristics
+const collisionTagging = {
+    useNameFallback: new URLSearchParams(window.location.search).has('nameColliders')
+};
+const colliderReport = [];
 
-    for (let i = 0; i < colliderBoxes.length; i++) {
-        if (testBox.intersectsBox(colliderBoxes[i])) {
-            if (window.DEBUG_COLLISION_LOG) {
-                const colliderCenter = colliderBoxes[i].getCenter(new THREE.Vector3());
-                console.log(`${direction} collision at player Y: ${position.y.toFixed(2)} with collider at Y: ${colliderCenter.y.toFixed(2)}`);
-            }
-            return { collision: true, box: colliderBoxes[i] };
-        }
-    }
-    return { collision: false, box: null };
+// Trigger volumes fire 'campus:triggerenter' / 'campus:triggerexit' window events
+const triggerVolumes = [];
+
+function addTriggerVolume(id, box) {
+    triggerVolumes.push({ id, box, inside: false });
+}
+
+function updateTriggerVolumes(position) {
+    triggerVolumes.forEach((trigger) => {
+        const inside = trigger.box.containsPoint(position);
+        if (inside === trigger.inside) return;
+
+        trigger.inside = inside;
+        const type = inside ? 'campus:triggerenter' : 'campus:triggerexit';
+        if (window.DEBUG_COLLISION_LOG) console.log(`${type}: ${trigger.id}`);
+        window.dispatchEvent(new CustomEvent(type, { detail: { id: trigger.id } }));
+    });
 }
 
-// FIXED: Better head collision detection
-function checkHeadCollision(position) {
-    const headTestBox = new THREE.Box3();
-    const headHeight = 0.3; // Small box at head level
-
-    headTestBox.setFromCenterAndSize(
-        new THREE.Vector3(
-            position.x,
-            position.y + cameraBoxSize.y - headHeight / 2, // At head level
-            position.z
-        ),
-        new THREE.Vector3(cameraBoxSize.x, headHeight, cameraBoxSize.z)
-    );
-
-    for (let i = 0; i < colliderBoxes.length; i++) {
-        if (headTestBox.intersectsBox(colliderBoxes[i])) {
-            return { collision: true, box: colliderBoxes[i] };
+// Checks whether there is room above the player's head
+function checkHeadCollision(position, capsule = playerCapsule, clearance = headClearance) {
+    return collisionWorld.intersectsCapsule(position, capsule, clearance);
+}
+
+// --------------------- Crouch ---------------------
+// Crouching shortens the capsule from the top, so the feet stay put; the eye drops by the
+// same amount and is eased down through stepEyeOffset like a step
+const standingCapsule = { ...playerCapsule };
+const standCheckPosition = new THREE.Vector3();
+
+function setCrouching(value, moveEye = true) {
+    if (value === isCrouching) return;
+    isCrouching = value;
+    const shift = value ? crouchOffset : -crouchOffset;
+    playerCapsule.height = standingCapsule.height + (value ? crouchOffset : 0);
+    playerCapsule.eyeHeight = standingCapsule.eyeHeight + (value ? crouchOffset : 0);
+    if (!moveEye) return;
+    camera.position.y += shift;
+    stepEyeOffset -= shift;
+}
+
+// Room for the standing capsule at the current feet position
+function canStandUp() {
+    standCheckPosition.copy(camera.position);
+    standCheckPosition.y -= crouchOffset;
+    return !checkHeadCollision(standCheckPosition, standingCapsule, 0.05).collision;
+}
+
+// Follows the crouch inputs; standing up waits until there is headroom
+function updateCrouch() {
+    const wanted = crouchHeld || crouchToggled;
+    if (wanted && !isCrouching) {
+        setCrouching(true);
+    } else if (!wanted && isCrouching) {
+        if (canStandUp()) {
+            setCrouching(false);
+            crouchBlocked = false;
+        } else if (!crouchBlocked) {
+            crouchBlocked = true;
+            console.log('Cannot stand up - ceiling too low');
         }
     }
-    return { collision: false, box: null };
 }
 
-// Function to create collision boxes with proper positioning fixes
-function createCollisionBoxesFromMesh(mesh) {
-    mesh.updateMatrixWorld(true);
-
-    const box = new THREE.Box3().setFromObject(mesh);
-
-    // Expand the box slightly for better collision detection
-    box.expandByScalar(collisionMargin);
-
-    colliderBoxes.push(box);
-    console.log(`Added collision box for: ${mesh.name}`);
-    console.log(`Box bounds: min(${box.min.x.toFixed(2)}, ${box.min.y.toFixed(2)}, ${box.min.z.toFixed(2)}) max(${box.max.x.toFixed(2)}, ${box.max.y.toFixed(2)}, ${box.max.z.toFixed(2)})`);
-
-    // Optional: Create visual debug box
-    if (window.DEBUG_COLLIDERS) {
-        const boxGeometry = new THREE.BoxGeometry(
-            box.max.x - box.min.x,
-            box.max.y - box.min.y,
-            box.max.z - box.min.z
-        );
-        const boxMaterial = new THREE.MeshBasicMaterial({
-            color: 0xff0000,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.3
-        });
-        const debugBox = new THREE.Mesh(boxGeometry, boxMaterial);
-        debugBox.position.copy(box.getCenter(new THREE.Vector3()));
-        scene.add(debugBox);
-    }
+function toggleCrouch() {
+    crouchToggled = !(crouchHeld || crouchToggled || isCrouching);
+    crouchHeld = false;
 }
 
-// FIXED: Sliding collision with separate horizontal movement
-function getValidMovement(currentPos, desiredPos) {
-    // Try full movement first
-    if (!checkHorizontalCollision(desiredPos)) {
-        return desiredPos;
-    }
+// Leaving FPS mode (or respawning) stands the player straight up; `moveEye` false leaves
+// the camera where it is
+function resetCrouch(moveEye = true) {
+    crouchHeld = false;
+    crouchToggled = false;
+    crouchBlocked = false;
+    setCrouching(false, moveEye);
+    touchHud.setActionState('crouch', false);
+}
 
-    // Try X-axis movement only
-    const xOnlyPos = new THREE.Vector3(desiredPos.x, currentPos.y, currentPos.z);
-    if (!checkHorizontalCollision(xOnlyPos)) {
-        return xOnlyPos;
-    }
+// --------------------- Spawning & Kill Plane ---------------------
+const DOWN = new THREE.Vector3(0, -1, 0);
+const modelBounds = new THREE.Box3();
+
+function getKillPlaneY() {
+    if (worldSettings.killPlaneY !== null) return worldSettings.killPlaneY;
+    if (modelBounds.isEmpty()) return null;
+    return modelBounds.min.y - worldSettings.killPlaneMargin;
+}
 
-    // Try Z-axis movement only
-    const zOnlyPos = new THREE.Vector3(currentPos.x, currentPos.y, desiredPos.z);
-    if (!checkHorizontalCollision(zOnlyPos)) {
-        return zOnlyPos;
+// Puts the player on the floor directly below `point` (on that storey), eyes at eye height.
+// The probe starts a step above the point so a spawn slightly below the floor still works.
+function placePlayerAt(point) {
+    // Highest floor under the point (from a step above it) that the player can stand on
+    const origin = point.clone();
+    origin.y += walkSettings.maxStepHeight;
+    const bottom = origin.y - worldSettings.maxSpawnDrop;
+    let spot = null;
+    for (let i = 0; i < 32 && !spot; i++) {
+        const hit = collisionWorld.raycast(origin, DOWN, origin.y - bottom);
+        if (!hit) break;
+        spot = standingSpot(hit, point.x, point.z);
+        origin.y = hit.point.y - 0.01;
     }
 
-    // No valid movement
-    return currentPos;
+    camera.position.copy(spot || point);
+    verticalVelocity = 0;
+    stepEyeOffset = 0;
+    moveResult.grounded = !!spot;
+    return !!spot;
 }
 
-// Function to manually adjust collision box positions
-function adjustCollisionBoxHeight(yOffset) {
-    colliderBoxes.forEach((box, index) => {
-        box.min.y += yOffset;
-        box.max.y += yOffset;
-        console.log(`Adjusted collision box ${index} by ${yOffset} units`);
-    });
+// Eye position for standing on `hit` at (x, z): the surface has to be walkable, not too steep,
+// with room for the capsule. Null otherwise.
+function standingSpot(hit, x, z) {
+    if (!hit.walkable || hit.normal.y < getWalkableNormalY(walkSettings.maxSlopeAngle)) return null;
+    const spot = new THREE.Vector3(x, hit.point.y + playerCapsule.eyeHeight, z);
+    return collisionWorld.intersectsCapsule(spot, playerCapsule, 0.05).collision ? null : spot;
+}
 
-    // Update debug visualizations if they exist
-    if (window.DEBUG_COLLIDERS) {
-        // Remove existing debug boxes
-        const debugBoxes = scene.children.filter(child =>
-            child.material && child.material.wireframe &&
-            (child.material.color.getHex() === 0xff0000 || child.material.color.getHex() === 0x00ff00)
-        );
-        debugBoxes.forEach(box => scene.remove(box));
-
-        // Re-create debug boxes with new positions
-        colliderBoxes.forEach((box, index) => {
-            const size = box.getSize(new THREE.Vector3());
-            const center = box.getCenter(new THREE.Vector3());
-
-            const boxGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
-            const boxMaterial = new THREE.MeshBasicMaterial({
-                color: 0xff0000,
-                wireframe: true,
-                transparent: true,
-                opacity: 0.3
-            });
-            const debugBox = new THREE.Mesh(boxGeometry, boxMaterial);
-            debugBox.position.copy(center);
-            scene.add(debugBox);
-        });
+// Where the player can stand at (x, z): walkable floors on that vertical line with room for
+// the capsule, preferring the storey nearest the player's current height. Null if none.
+function findTeleportSpot(x, z) {
+    if (modelBounds.isEmpty()) return null;
+
+    const feet = camera.position.y - playerCapsule.eyeHeight;
+    const origin = new THREE.Vector3(x, modelBounds.max.y + 1, z);
+    let best = null;
+
+    // Walk down through every surface on the line (roofs, upper floors, ground)
+    for (let i = 0; i < 32; i++) {
+        const hit = collisionWorld.raycast(origin, DOWN, origin.y - modelBounds.min.y + 1);
+        if (!hit) break;
+
+        const spot = standingSpot(hit, x, z);
+        if (spot && (!best || Math.abs(hit.point.y - feet) < Math.abs(best.y - playerCapsule.eyeHeight - feet))) {
+            best = spot;
+        }
+        origin.y = hit.point.y - 0.01;
     }
+    return best;
 }
 
-// --------------------- Keyboard Events (Enhanced with Arrow Keys) ---------------------
-document.addEventListener('keydown', (e) => {
-    if (['KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space', 'ShiftLeft', 'ShiftRight', 'AltRight', 'AltLeft', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(e.code)) e.preventDefault();
-    switch (e.code) {
-        // WASD Controls
-        case 'KeyW':
-        case 'ArrowUp': // Added arrow key support
-            move.forward = true;
-            break;
-        case 'KeyS':
-        case 'ArrowDown': // Added arrow key support
-            move.backward = true;
-            break;
-        case 'KeyA':
-        case 'ArrowLeft': // Added arrow key support
-            move.left = true;
-            break;
-        case 'KeyD':
-        case 'ArrowRight': // Added arrow key support
-            move.right = true;
-            break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-            isRunning = true;
-            break;
-        case 'Space':
-            if (canJump && !isCrouching) {
-                // FIXED: Check for head collision before jumping
-                const headCheck = checkHeadCollision(camera.position);
-                if (!headCheck.collision) {
-                    verticalVelocity = jumpStrength;
-                    canJump = false;
-                    if (isRunning) bunnyHopMultiplier = Math.min(bunnyHopMultiplier * 1.1, maxBunnyHop);
-                } else {
-                    console.log('Cannot jump - head collision detected');
-                }
-            }
-            break;
-        case 'AltRight':
-        case 'AltLeft':
-            verticalVelocity = 15;
-            canJump = true;
-            break;
-    }
-});
+function respawnPlayer() {
+    resetCrouch();
+    placePlayerAt(worldSettings.spawnPoint);
+    bunnyHopMultiplier = 1;
+    console.log('Fell below the kill plane - respawned');
+}
 
-document.addEventListener('keyup', (e) => {
-    switch (e.code) {
-        // WASD Controls
-        case 'KeyW':
-        case 'ArrowUp': // Added arrow key support
-            move.forward = false;
-            break;
-        case 'KeyS':
-        case 'ArrowDown': // Added arrow key support
-            move.backward = false;
-            break;
-        case 'KeyA':
-        case 'ArrowLeft': // Added arrow key support
-            move.left = false;
-            break;
-        case 'KeyD':
-        case 'ArrowRight': // Added arrow key support
-            move.right = false;
-            break;
-        case 'ShiftLeft':
-        case 'ShiftRight':
-            isRunning = false;
-            break;
+// Jumps when standing with room overhead; shared by the keyboard, touch button and gamepad
+function tryJump() {
+    if (!canJump || isCrouching) return;
+    // FIXED: Check for head collision before jumping
+    const headCheck = checkHeadCollision(camera.position);
+    if (headCheck.collision) {
+        console.log('Cannot jump - head collision detected');
+        return;
     }
+    verticalVelocity = jumpStrength;
+    canJump = false;
+    if (isRunning) bunnyHopMultiplier = Math.min(bunnyHopMultiplier * 1.1, maxBunnyHop);
+}
+
+// --------------------- Keyboard Events ---------------------
+// Keys map to named actions (src/inputBindings.js) that visitors can rebind in the controls menu
+const inputBindings = createInputBindings();
+inputBindings.attach();
+bindControlsMenu(inputBindings, { i18n });
+window.inputBindings = inputBindings; // e.g. inputBindings.bind('jump', 0, 'KeyJ')
+
+inputBindings.on('moveForward', (pressed) => { move.forward = pressed; });
+inputBindings.on('moveBackward', (pressed) => { move.backward = pressed; });
+inputBindings.on('moveLeft', (pressed) => { move.left = pressed; });
+inputBindings.on('moveRight', (pressed) => { move.right = pressed; });
+inputBindings.on('sprint', (pressed) => { isRunning = pressed; });
+inputBindings.on('jump', tryJump);
+inputBindings.on('crouch', (pressed) => {
+    crouchHeld = pressed;
+    if (pressed) crouchToggled = false;
+});
+inputBindings.on('crouchToggle', toggleCrouch);
+inputBindings.on('boostJump', () => {
+    verticalVelocity = 15;
+    canJump = true;
 });
 
 // --------------------- Pointer Lock ---------------------
-document.addEventListener('click', () => {
-    if (activeControls === fpsControls && !isMobileDevice) fpsControls.lock();
+document.addEventListener('click', (e) => {
+    // Only clicks on the 3D view lock the cursor, so overlay buttons stay usable
+    if (e.target !== renderer.domElement) return;
+    if (activeControls === fpsControls && !touchHud.isActive()) fpsControls.lock();
 });
 
 // --------------------- Camera Mode Switching ---------------------
@@ -750,226 +598,906 @@ function activateOrbitControls() {
     fpsControls.enabled = false;
     orbitControls.enabled = true;
     activeControls = orbitControls;
+    touchHud.setActionState('toggleView', false);
+    analytics.recordMode('orbit');
+    accessibility.announce(i18n.t('Orbit view'));
     console.log('Orbit Controls Activated');
     if (document.getElementById("cameraView")) {
         document.getElementById("cameraView").value = "orbit";
     }
 }
 
-function activateFPSControls() {
+function activateFPSControls(spot = worldSettings.spawnPoint) {
     orbitControls.enabled = false;
     fpsControls.enabled = true;
     activeControls = fpsControls;
-    camera.position.set(150, -18.5, 0);
+    resetCrouch();
+    placePlayerAt(spot);
+    touchHud.setActionState('toggleView', true);
+    analytics.recordMode('fps');
+    accessibility.announce(i18n.t('First-person view'));
     console.log('FPS Controls Activated');
     if (document.getElementById("cameraView")) {
         document.getElementById("cameraView").value = "fps";
     }
 }
 
-window.addEventListener('keydown', (e) => {
-    if (e.code === 'KeyO') activateOrbitControls();
-    if (e.code === 'KeyP') activateFPSControls();
-
-    // Debug key to toggle collision box visibility
-    if (e.code === 'KeyB') {
-        window.DEBUG_COLLIDERS = !window.DEBUG_COLLIDERS;
-        console.log('Debug colliders:', window.DEBUG_COLLIDERS);
-
-        // Remove existing debug boxes
-        const debugBoxes = scene.children.filter(child =>
-            child.material && child.material.wireframe &&
-            (child.material.color.getHex() === 0xff0000 || child.material.color.getHex() === 0x00ff00)
-        );
-        debugBoxes.forEach(box => scene.remove(box));
-
-        // Re-create debug boxes if enabled
-        if (window.DEBUG_COLLIDERS && colliderBoxes.length > 0) {
-            console.log('Creating debug visualization for collision boxes...');
-            colliderBoxes.forEach((box, index) => {
-                const size = box.getSize(new THREE.Vector3());
-                const center = box.getCenter(new THREE.Vector3());
-
-                const boxGeometry = new THREE.BoxGeometry(size.x, size.y, size.z);
-                const boxMaterial = new THREE.MeshBasicMaterial({
-                    color: 0xff0000,
-                    wireframe: true,
-                    transparent: true,
-                    opacity: 0.5
-                });
-                const debugBox = new THREE.Mesh(boxGeometry, boxMaterial);
-                debugBox.position.copy(center);
-                scene.add(debugBox);
-
-                console.log(`Debug box ${index}: center at ${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)}`);
-            });
+// Animated switches for the visitor's own mode changes; tours, teleports and view links
+// still switch instantly with activateOrbitControls / activateFPSControls
+const transitionSettings = {
+    duration: 1.6,              // Seconds per flight
+    easing: 'easeInOutCubic',   // Any name in EASINGS (src/cameraTransition.js)
+    overviewDistance: 60,       // How far back the orbit overview pulls from the player (m)
+    overviewHeight: 35          // ...and how high above them
+};
+const cameraTransition = createCameraTransition({
+    camera,
+    isReducedMotion: accessibility.isReducedMotion,
+    onFade: accessibility.setFade
+});
+const transitionLook = new THREE.Vector3();
+
+// True while a tour, a mode flight or a VR headset owns the camera; player input waits
+function isCameraBusy() {
+    return tour.isFlying() || cameraTransition.isActive() || vrMode.isPresenting();
+}
+
+// Eye position for standing at a picked point: the floor under it, else the nearest
+// standable floor on that vertical line
+function findLandingSpot(point) {
+    const origin = point.clone();
+    origin.y += walkSettings.maxStepHeight;
+    const ground = collisionWorld.raycast(origin, DOWN, worldSettings.maxSpawnDrop);
+    if (ground && ground.walkable && ground.normal.y >= getWalkableNormalY(walkSettings.maxSlopeAngle)) {
+        const spot = new THREE.Vector3(point.x, ground.point.y + standingCapsule.eyeHeight, point.z);
+        if (!collisionWorld.intersectsCapsule(spot, standingCapsule, 0.05).collision) return spot;
+    }
+    return findTeleportSpot(point.x, point.z);
+}
+
+// Orbit -> FPS: descends to `point` (default: the spawn point) facing the way the camera
+// was looking, then hands over to the walker
+function flyToFirstPerson(point = null) {
+    if (activeControls === fpsControls || isCameraBusy() || colliderEditor.isOpen()) return;
+    if (tour.isActive()) tour.stop();
+
+    const spot = (point && collidersReady && findLandingSpot(point)) || worldSettings.spawnPoint.clone();
+    // Face along the flight; fall back to the current heading for a straight drop
+    const heading = spot.clone().sub(camera.position).setY(0);
+    if (heading.lengthSq() < 1) camera.getWorldDirection(heading).setY(0);
+    if (heading.lengthSq() < 1e-6) heading.set(0, 0, -1);
+    transitionLook.copy(spot).addScaledVector(heading.normalize(), 10);
+
+    orbitControls.enabled = false;
+    cameraTransition.start({
+        toPosition: spot,
+        fromTarget: orbitControls.target,
+        toTarget: transitionLook,
+        duration: transitionSettings.duration,
+        easing: transitionSettings.easing,
+        onComplete: () => {
+            const lookAhead = transitionLook.clone();
+            activateFPSControls(spot);
+            lookAhead.y = camera.position.y;
+            camera.lookAt(lookAhead);
         }
+    });
+}
+
+// FPS -> orbit: pulls up and back to an overview orbiting where the player stood
+function flyToOverview() {
+    if (activeControls === orbitControls || isCameraBusy()) return;
+    if (tour.isActive()) tour.stop();
+
+    const feet = camera.position.clone();
+    feet.y -= playerCapsule.eyeHeight;
+    const back = camera.getWorldDirection(new THREE.Vector3()).setY(0);
+    if (back.lengthSq() < 1e-6) back.set(0, 0, -1);
+    back.normalize().negate();
+    const overview = feet.clone()
+        .addScaledVector(back, transitionSettings.overviewDistance)
+        .setY(feet.y + transitionSettings.overviewHeight);
+
+    fpsControls.unlock();
+    fpsControls.enabled = false;
+    resetCrouch(false);
+    cameraTransition.start({
+        toPosition: overview,
+        fromTarget: getLookTarget(),
+        toTarget: feet,
+        duration: transitionSettings.duration,
+        easing: transitionSettings.easing,
+        onComplete: () => {
+            activateOrbitControls();
+            orbitControls.target.copy(feet);
+            orbitControls.update();
+        }
+    });
+}
+
+function toggleCameraMode() {
+    if (activeControls === fpsControls) flyToOverview();
+    else flyToFirstPerson();
+}
+
+inputBindings.on('orbitView', flyToOverview);
+inputBindings.on('fpsView', () => flyToFirstPerson());
+
+// Double-click the campus in orbit mode to walk from that spot
+const landingRaycaster = new THREE.Raycaster();
+renderer.domElement.addEventListener('dblclick', (e) => {
+    if (activeControls !== orbitControls || !collidersReady) return;
+    const rect = renderer.domElement.getBoundingClientRect();
+    landingRaycaster.setFromCamera(new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+    ), camera);
+    const hit = collisionWorld.raycast(landingRaycaster.ray.origin, landingRaycaster.ray.direction, camera.far);
+    if (hit) flyToFirstPerson(hit.point);
+});
+
+window.transitionSettings = transitionSettings; // e.g. transitionSettings.duration = 3
+
+// Collider wireframes, from the debug key or the debug HUD
+function setColliderWireframes(visible) {
+    window.DEBUG_COLLIDERS = visible;
+    collisionWorld.debugGroup.visible = visible;
+    console.log('Debug colliders:', visible);
+}
+
+inputBindings.on('toggleColliders', () => setColliderWireframes(!collisionWorld.debugGroup.visible));
+
+// Debug collision logging
+inputBindings.on('toggleCollisionLog', () => {
+    window.DEBUG_COLLISION_LOG = !window.DEBUG_COLLISION_LOG;
+    console.log('Collision logging:', window.DEBUG_COLLISION_LOG);
+});
+
+// Show current player position
+inputBindings.on('positionInfo', () => {
+    console.log(`Player position: ${camera.position.x.toFixed(2)}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)}`);
+    const ground = collisionWorld.raycast(camera.position, DOWN, worldSettings.maxSpawnDrop);
+    console.log(ground ? `Floor below: ${ground.point.y.toFixed(2)} (${ground.collider})` : 'No floor below player');
+    console.log(`Kill plane: ${getKillPlaneY()}`);
+    const stats = collisionWorld.getStats();
+    console.log(`Colliders: ${stats.colliders} (${stats.boxes} manual boxes, ${stats.triangles} triangles)`);
+    console.log(`Grounded: ${moveResult.grounded}, standing on: ${moveResult.collider}`);
+});
+
+// On-screen stats (src/debugHud.js); ` toggles it, ?debug opens it on load
+const debugPosition = new THREE.Vector3();
+
+const debugHud = createDebugHud({
+    renderer,
+    getPlayer: () => {
+        const presenting = vrMode.isPresenting();
+        let mode = presenting ? 'VR' : (activeControls === fpsControls ? 'FPS' : 'Orbit');
+        if (tour.isFlying()) mode += ' (tour flight)';
+        else if (cameraTransition.isActive()) mode += ' (switching)';
+        return {
+            mode,
+            position: presenting ? vrMode.getHeadPosition(debugPosition) : camera.position,
+            grounded: moveResult.grounded,
+            collider: moveResult.collider,
+            bunnyHop: bunnyHopMultiplier
+        };
+    },
+    getColliders: () => collisionWorld.debugGroup.visible,
+    setColliders: setColliderWireframes
+});
+
+inputBindings.on('toggleDebugHud', () => debugHud.toggle());
+
+// Shift every collider up/down; recorded by the collider editor so it can be exported
+[['raiseColliders', 1], ['lowerColliders', -1], ['nudgeCollidersUp', 0.1], ['nudgeCollidersDown', -0.1]].forEach(([action, offset]) => {
+    inputBindings.on(action, () => {
+        colliderEditor.shiftAll(offset);
+        navGraph.invalidate();
+    });
+});
+
+// --------------------- VR Mode ---------------------
+// WebXR walkthrough (src/vrMode.js). Entering starts from where the visitor is walking, or
+// from the floor under the orbit target; leaving drops them into FPS mode where they stood.
+const vrForward = new THREE.Vector3();
+
+const vrMode = createVRMode({
+    renderer,
+    scene,
+    camera,
+    collisionWorld,
+    capsule: playerCapsule,
+    walkSettings,
+    moveResult,
+    getGravity: () => gravity,
+    getKillPlaneY,
+    findSpot: findLandingSpot,
+    isWorldReady: () => collidersReady,
+    onEnter: () => {
+        analytics.recordMode('vr');
+        if (tour.isActive()) tour.stop();
+        cameraTransition.finish();
+        fpsControls.unlock();
+        fpsControls.enabled = false;
+        orbitControls.enabled = false;
+        resetCrouch(false);
+
+        const position = activeControls === fpsControls
+            ? camera.position.clone()
+            : (collidersReady && findLandingSpot(orbitControls.target)) || worldSettings.spawnPoint.clone();
+        camera.getWorldDirection(vrForward);
+        return { position, yaw: Math.atan2(-vrForward.x, -vrForward.z) };
+    },
+    onExit: (position, yaw) => {
+        activateFPSControls(position);
+        camera.quaternion.setFromEuler(lookEuler.set(0, yaw, 0));
+    },
+    onRespawn: () => worldSettings.spawnPoint
+});
+
+// Wires the #vrBtn markup in index.html; only shown where an immersive-vr session can start
+function bindVRButton() {
+    const vrButton = document.getElementById('vrBtn');
+
+    vrButton.addEventListener('click', () => {
+        if (vrMode.isPresenting()) vrMode.exit();
+        else vrMode.enter();
+    });
+
+    function render({ supported, presenting }) {
+        vrButton.classList.toggle('show', supported);
+        vrButton.classList.toggle('presenting', presenting);
+        vrButton.textContent = i18n.t(presenting ? 'EXIT VR' : 'ENTER VR');
     }
 
-    // Debug collision logging
-    if (e.code === 'KeyL') {
-        window.DEBUG_COLLISION_LOG = !window.DEBUG_COLLISION_LOG;
-        console.log('Collision logging:', window.DEBUG_COLLISION_LOG);
+    vrMode.subscribe(render);
+    i18n.subscribe(() => render(vrMode.getState()));
+}
+
+bindVRButton();
+window.vrMode = vrMode; // e.g. vrMode.enter()
+
+// --------------------- Gamepad ---------------------
+// Controllers for kiosk setups (src/gamepad.js). The left stick feeds joystickVector like the
+// touch joystick; in orbit mode the sticks orbit and zoom around the target instead
+const gamepadSettings = { ...DEFAULT_GAMEPAD_SETTINGS, orbitZoomSpeed: 1.5 };
+const gamepadOrbit = new THREE.Spherical();
+const gamepadOffset = new THREE.Vector3();
+
+// Rotates/zooms the orbit camera about its target; angles in radians, zoom as a scale
+function orbitCameraBy(theta, phi, zoom) {
+    gamepadOffset.subVectors(camera.position, orbitControls.target);
+    gamepadOrbit.setFromVector3(gamepadOffset);
+    gamepadOrbit.theta -= theta;
+    gamepadOrbit.phi = THREE.MathUtils.clamp(gamepadOrbit.phi - phi, orbitControls.minPolarAngle + 0.01, orbitControls.maxPolarAngle - 0.01);
+    gamepadOrbit.radius = THREE.MathUtils.clamp(gamepadOrbit.radius * zoom, orbitControls.minDistance, orbitControls.maxDistance);
+    camera.position.copy(orbitControls.target).add(gamepadOffset.setFromSpherical(gamepadOrbit));
+    camera.lookAt(orbitControls.target);
+}
+
+const gamepadInput = createGamepadInput({
+    settings: gamepadSettings,
+    onMove: (x, y, delta) => {
+        if (activeControls === orbitControls) {
+            // Forward zooms in, back zooms out
+            if (y !== 0 && !isCameraBusy()) orbitCameraBy(0, 0, Math.exp(-y * gamepadSettings.orbitZoomSpeed * delta));
+            // Releasing the stick still clears FPS movement held from before a mode switch
+            if (x !== 0 || y !== 0) return;
+        }
+        setStickInput(x, y);
+    },
+    onLook: (yaw, pitch) => {
+        if (isCameraBusy()) return;
+        if (activeControls === orbitControls) {
+            orbitCameraBy(yaw, pitch, 1);
+            return;
+        }
+        turnCamera(yaw, pitch);
+    },
+    onAction: (action, pressed) => {
+        if (action === 'sprint') isRunning = pressed;
+        if (!pressed || isCameraBusy()) return;
+        if (action === 'jump' && activeControls === fpsControls) tryJump();
+        if (action === 'crouch' && activeControls === fpsControls) toggleCrouch();
+        if (action === 'toggleView') toggleCameraMode();
     }
+});
 
-    // Show current player position
-    if (e.code === 'KeyI') {
-        console.log(`Player position: ${camera.position.x.toFixed(2)}, ${camera.position.y.toFixed(2)}, ${camera.position.z.toFixed(2)}`);
-        console.log(`Ground height: ${groundHeight}`);
-        console.log(`Total collision boxes: ${colliderBoxes.length}`);
-
-        // Show collision box heights relative to ground
-        if (colliderBoxes.length > 0) {
-            console.log('Collision box heights relative to ground:');
-            colliderBoxes.slice(0, 5).forEach((box, index) => {
-                const center = box.getCenter(new THREE.Vector3());
-                const minHeight = box.min.y - groundHeight;
-                const maxHeight = box.max.y - groundHeight;
-                console.log(`  Box ${index}: min=${minHeight.toFixed(2)}, max=${maxHeight.toFixed(2)}, center=${(center.y - groundHeight).toFixed(2)} (relative to ground)`);
-            });
+window.gamepadSettings = gamepadSettings; // e.g. gamepadSettings.lookSensitivity = 3.5
+
+// --------------------- Guided Tour ---------------------
+// Returns the point the camera currently looks at in either mode
+function getLookTarget() {
+    if (activeControls === orbitControls) return orbitControls.target;
+    return camera.getWorldDirection(new THREE.Vector3()).multiplyScalar(10).add(camera.position);
+}
+
+const tour = createTour({
+    camera,
+    getLookTarget,
+    isReducedMotion: accessibility.isReducedMotion,
+    onFade: accessibility.setFade,
+    onFlightStart: () => {
+        // The tour owns the camera while flying; a mode flight in progress lands first
+        cameraTransition.finish();
+        orbitControls.enabled = false;
+        fpsControls.enabled = false;
+    },
+    onFlightEnd: (stop) => {
+        if (activeControls === orbitControls) {
+            if (stop) orbitControls.target.copy(stop.target);
+            orbitControls.enabled = true;
+            orbitControls.update();
+        } else {
+            fpsControls.enabled = true;
+            if (stop) {
+                // Land on the floor of the stop's storey, still facing the subject
+                placePlayerAt(stop.position);
+                camera.lookAt(stop.target);
+            }
         }
     }
+});
+
+bindTourPanel(tour, i18n);
+bindPlacesList(tour, (index) => tour.start(index), i18n);
 
-    // Adjust collision boxes up/down for debugging
-    if (e.code === 'ArrowUp') {
-        adjustCollisionBoxHeight(1);
-        console.log('Moved collision boxes up by 1 unit');
+// Screen readers hear each stop once the camera has arrived
+let announcedStop = null;
+tour.subscribe(({ active, flying, stop, index, count }) => {
+    if (!active) {
+        announcedStop = null;
+        return;
     }
-    if (e.code === 'ArrowDown') {
-        adjustCollisionBoxHeight(-1);
-        console.log('Moved collision boxes down by 1 unit');
+    if (flying || !stop || stop === announcedStop) return;
+    announcedStop = stop;
+    accessibility.announce(i18n.t('{place}, place {number} of {count}. {description}', {
+        place: i18n.localize(stop.title),
+        number: index + 1,
+        count,
+        description: i18n.localize(stop.description)
+    }));
+});
+tour.load(manifest.data.tour).catch((error) => {
+    console.error('Tour loading error:', error);
+});
+
+inputBindings.on('toggleTour', () => {
+    if (tour.isActive()) tour.stop();
+    else tour.start(0);
+});
+inputBindings.on('tourNext', () => {
+    if (tour.isActive()) tour.next();
+});
+inputBindings.on('tourPrevious', () => {
+    if (tour.isActive()) tour.previous();
+});
+
+// --------------------- Hotspots ---------------------
+const SCREEN_CENTER = new THREE.Vector2(0, 0);
+const hotspots = createHotspots({ camera, domElement: renderer.domElement });
+
+hotspots.load(manifest.data.hotspots).catch((error) => {
+    console.error('Hotspot loading error:', error);
+});
+
+// The open card is refilled when the language changes
+let shownHotspot = null;
+i18n.subscribe(() => {
+    if (shownHotspot && document.getElementById('infoCard').classList.contains('show')) showInfoCard(shownHotspot, i18n);
+});
+
+hotspots.listen((hotspot) => {
+    shownHotspot = hotspot;
+    if (hotspot) console.log(`Hotspot: ${hotspot.id}`);
+    if (hotspot) accessibility.announce(`${i18n.localize(hotspot.name) || hotspot.id}. ${i18n.localize(hotspot.description)}`);
+    showInfoCard(hotspot, i18n);
+}, () => {
+    if (colliderEditor.isOpen()) return false; // Clicks select colliders instead
+    if (activeControls !== fpsControls || touchHud.isActive()) return null;
+    // Desktop FPS: the click that locks the cursor is not a pick; afterwards aim at the crosshair
+    return fpsControls.isLocked ? SCREEN_CENTER : false;
+});
+
+// --------------------- Minimap ---------------------
+const minimap = createMinimap({
+    renderer,
+    scene,
+    camera,
+    onTeleport: (x, z) => {
+        const spot = findTeleportSpot(x, z);
+        if (!spot) {
+            console.warn(`No valid ground at (${x.toFixed(1)}, ${z.toFixed(1)})`);
+            return false;
+        }
+        if (tour.isActive()) tour.stop();
+        if (activeControls !== fpsControls) activateFPSControls();
+        placePlayerAt(spot);
+        console.log(`Teleported to ${spot.x.toFixed(1)}, ${spot.y.toFixed(1)}, ${spot.z.toFixed(1)}`);
+        return true;
     }
+});
+
+inputBindings.on('toggleMap', () => {
+    minimap.toggleExpanded();
+    // The map needs a free cursor to click on
+    if (minimap.isExpanded()) fpsControls.unlock();
+});
+
+window.addEventListener('keydown', (e) => {
+    if (e.code === 'Escape') minimap.setExpanded(false);
+});
+
+fpsControls.addEventListener('lock', () => document.body.classList.add('pointer-locked'));
+fpsControls.addEventListener('unlock', () => document.body.classList.remove('pointer-locked'));
 
-    // Fine adjustment
-    if (e.code === 'PageUp') {
-        adjustCollisionBoxHeight(0.1);
-        console.log('Moved collision boxes up by 0.1 unit');
+// --------------------- Indoor Navigation ---------------------
+const navigationSettings = {
+    cellSize: 1.5,          // Spacing of the walkable graph samples (m)
+    offRouteDistance: 3,    // Distance from the route that triggers a re-plan (m)
+    rerouteInterval: 2,     // Minimum time between re-plans (s)
+    arrivalDistance: 2      // Distance from the destination that counts as arrived (m)
+};
+
+const navGraph = createNavigator({
+    collisionWorld,
+    capsule: standingCapsule,   // Routes are for walking upright, whatever the player is doing now
+    walker: walkSettings,
+    cellSize: navigationSettings.cellSize
+});
+
+const routeGuide = createRouteGuide({
+    scene,
+    navGraph,
+    settings: navigationSettings,
+    getWorldBounds: () => modelBounds,
+    getPlayerFeet: () => {
+        if (activeControls !== fpsControls) return null;
+        return camera.position.clone().setY(camera.position.y - playerCapsule.eyeHeight);
+    },
+    onFollowStart: () => {
+        // Routes from "my position" are walked in FPS mode
+        if (tour.isActive()) tour.stop();
+        if (activeControls !== fpsControls) activateFPSControls();
     }
-    if (e.code === 'PageDown') {
-        adjustCollisionBoxHeight(-0.1);
-        console.log('Moved collision boxes down by 0.1 unit');
+});
+
+bindNavigationPanel(routeGuide, i18n);
+routeGuide.load(manifest.data.destinations).catch((error) => {
+    console.error('Destination loading error:', error);
+});
+
+inputBindings.on('openDirections', () => {
+    document.getElementById('navBtn').click();
+    // The panel needs a free cursor
+    fpsControls.unlock();
+});
+
+// --------------------- Shareable View Links ---------------------
+// A linked view waits for the model: FPS positions are validated against the colliders,
+// and the model load would otherwise reset the orbit target
+let pendingView = parseView(window.location.hash);
+let collidersReady = false;
+let lastViewHash = '';
+let viewSyncTimer = 0;
+
+function getCurrentViewHash() {
+    return encodeView({
+        mode: activeControls === fpsControls ? 'fps' : 'orbit',
+        camera,
+        target: orbitControls.target
+    });
+}
+
+// Keeps the URL hash on the current view, at most twice a second
+function syncViewToUrl(delta) {
+    viewSyncTimer += delta;
+    if (viewSyncTimer < 0.5 || pendingView || isCameraBusy()) return;
+    viewSyncTimer = 0;
+
+    const hash = getCurrentViewHash();
+    if (hash === lastViewHash) return;
+    lastViewHash = hash;
+    history.replaceState(null, '', `#${hash}`);
+}
+
+function applyOrbitView(view) {
+    activateOrbitControls();
+    camera.position.copy(view.position);
+    orbitControls.target.copy(view.target);
+    orbitControls.update();
+}
+
+// Lands on the floor below the linked spot. A spot inside geometry falls back to the
+// nearest standable floor on the same vertical line, then to the spawn point.
+function applyFPSView(view) {
+    activateFPSControls();
+
+    let spot = view.position;
+    if (collisionWorld.intersectsCapsule(spot, playerCapsule).collision) {
+        spot = findTeleportSpot(spot.x, spot.z);
+    }
+    if (spot) {
+        placePlayerAt(spot);
+        if (collisionWorld.intersectsCapsule(camera.position, playerCapsule).collision) spot = null;
+    }
+    if (!spot) {
+        console.warn('Linked position is inside geometry - using the spawn point');
+        placePlayerAt(worldSettings.spawnPoint);
     }
+
+    camera.rotation.set(view.pitch, view.yaw, 0, 'YXZ');
+}
+
+function applyView(view) {
+    if (tour.isActive()) tour.stop();
+    if (view.mode === 'orbit') applyOrbitView(view);
+    else applyFPSView(view);
+    lastViewHash = '';
+}
+
+// Pasting another view link into the same tab
+window.addEventListener('hashchange', () => {
+    const view = parseView(window.location.hash);
+    if (!view || window.location.hash.slice(1) === lastViewHash) return;
+    if (!collidersReady) {
+        pendingView = view;
+        return;
+    }
+    applyView(view);
 });
 
 if (document.getElementById("cameraView")) {
     document.getElementById("cameraView").addEventListener("change", (e) => {
-        if (e.target.value === "orbit") activateOrbitControls();
-        if (e.target.value === "fps") activateFPSControls();
+        if (e.target.value === "orbit") flyToOverview();
+        if (e.target.value === "fps") flyToFirstPerson();
     });
 }
 
+// --------------------- Loading Progress ---------------------
+// Drives the loading screen in index.html (window.loadingScreen)
+const loadingTracker = createLoadingTracker({
+    t: i18n.t,
+    onProgress: ({ fraction, message }) => window.loadingScreen.setProgress(fraction, message),
+    onComplete: (warnings) => {
+        console.log('All 3D assets loaded!');
+        // Snapshot the map once the model and its lighting are both in
+        requestAnimationFrame(() => {
+            if (!modelBounds.isEmpty()) minimap.build(modelBounds);
+        });
+        window.loadingScreen.complete(warnings);
+    },
+    onError: (failed) => {
+        const names = failed.map((asset) => asset.label.toLowerCase()).join(` ${i18n.t('and')} `);
+        window.loadingScreen.showError(i18n.t('Could not load the {assets}. Check your connection and try again.', { assets: names }), () => loadingTracker.retry());
+    }
+});
+
 // --------------------- GLTF Loader with Enhanced Collision Detection ---------------------
 const dracoLoader = new DRACOLoader(loadingManager);
-dracoLoader.setDecoderPath('https://www.gstatic.com/draco/versioned/decoders/1.5.6/');
+dracoLoader.setDecoderPath(manifest.dracoDecoderPath);
 
 const loader = new GLTFLoader(loadingManager);
 loader.setDRACOLoader(dracoLoader);
 
-loader.load('/model.glb',
-    (gltf) => {
-        console.log('GLTF model loaded successfully');
-        scene.add(gltf.scene);
+// --------------------- Chunk Streaming ---------------------
+// Scenes with a `streaming` section swap detailed chunks in over the coarse model; each
+// chunk's colliders replace the coarse ones for as long as it is loaded
+function setCoarseChunkColliders(id, enabled) {
+    collisionWorld.setEnabled(`model:chunk:${id}`, enabled);
+    collisionWorld.setEnabled(`model:chunk:${id}:blocking`, enabled);
+}
 
-        const box = new THREE.Box3().setFromObject(gltf.scene);
-        const center = box.getCenter(new THREE.Vector3());
-        gltf.scene.position.sub(center);
-        orbitControls.target.copy(center);
-        orbitControls.update();
+const shownChunks = new Map(); // Chunk id -> root of its loaded detail level
+
+const chunkStreamer = manifest.streaming ? createChunkStreamer({
+    scene,
+    camera,
+    loader,
+    settings: manifest.streaming,
+    onChunkShown: (chunk, root) => {
+        shownChunks.set(chunk.id, root);
+        bakeChunkColliders(chunk.id, root);
+        hotspots.addModel(root);
+        daylight.addModel(root);
+    },
+    onChunkHidden: (chunk) => {
+        shownChunks.delete(chunk.id);
+        collisionWorld.remove(`chunk:${chunk.id}`);
+        collisionWorld.remove(`chunk:${chunk.id}:blocking`);
+        setCoarseChunkColliders(chunk.id, true);
+        // Only the chunk's own area of the navigation graph is sampled again
+        navGraph.invalidate(new THREE.Box3().setFromObject(chunk.root).union(chunk.bounds));
+        hotspots.removeModel(chunk.root);
+        daylight.removeModel(chunk.root);
+    }
+}) : null;
 
-        // Wait a frame for transformations to apply, then create collision boxes
-        requestAnimationFrame(() => {
-            console.log('Creating collision boxes...');
-
-            // Enhanced collision detection setup
-            gltf.scene.traverse((child) => {
-                if (child.isMesh) {
-                    console.log(`Processing mesh: ${child.name}, position: (${child.position.x.toFixed(2)}, ${child.position.y.toFixed(2)}, ${child.position.z.toFixed(2)})`);
-
-                    // Method 1: Objects with "COLLIDER" in name
-                    if (child.name && child.name.includes("COLLIDER")) {
-                        collidableObjects.push(child);
-                        child.visible = false; // Hide collision meshes
-                        createCollisionBoxesFromMesh(child);
-                    }
-                    // Method 2: Roof-specific collision detection
-                    else if (child.name && (
-                        child.name.toLowerCase().includes("roof") ||
-                        child.name.toLowerCase().includes("ceiling") ||
-                        child.name.toLowerCase().includes("top")
-                    )) {
-                        collidableObjects.push(child);
-                        createCollisionBoxesFromMesh(child);
-                        console.log(`Added roof collision for: ${child.name}`);
-                    }
-                    // Method 3: All building meshes
-                    else if (child.name && (
-                        child.name.includes("building") ||
-                        child.name.includes("wall") ||
-                        child.name.includes("floor") ||
-                        child.name.includes("structure") ||
-                        child.name.toLowerCase().includes("collide")
-                    )) {
-                        collidableObjects.push(child);
-                        createCollisionBoxesFromMesh(child);
-                    }
-                    // Method 4: Auto-detect large static meshes
-                    else if (child.geometry && child.material) {
-                        const meshBox = new THREE.Box3().setFromObject(child);
-                        const size = meshBox.getSize(new THREE.Vector3());
-
-                        // If object is large enough, treat as collidable
-                        if (size.x > 2 || size.y > 2 || size.z > 2) {
-                            collidableObjects.push(child);
-                            createCollisionBoxesFromMesh(child);
-                        }
-                    }
-                }
-            });
+// Classifies the meshes under `root` (glTF extras, see src/colliderTags.js) and bakes them
+// into triangle BVHs. `keyFor(mesh)` names the collider a mesh joins; every key gets a
+// walkable collider and a ':blocking' one. Returns the keys used.
+function bakeColliders(root, { keyFor = () => 'model', report = null, triggers = false, objects = null } = {}) {
+    const groups = new Map();
 
-            console.log(`Created ${colliderBoxes.length} collision boxes`);
+    root.traverse((child) => {
+        if (!child.isMesh) return;
 
-            // Debug: Print collision box info
-            console.log('Collision box analysis:');
-            colliderBoxes.forEach((box, index) => {
-                const center = box.getCenter(new THREE.Vector3());
-                const size = box.getSize(new THREE.Vector3());
-                console.log(`Box ${index}: center(${center.x.toFixed(1)}, ${center.y.toFixed(1)}, ${center.z.toFixed(1)}) size(${size.x.toFixed(1)}, ${size.y.toFixed(1)}, ${size.z.toFixed(1)})`);
-            });
-        });
-    },
-    (progress) => {
-        const percentComplete = (progress.loaded / progress.total) * 100;
-        console.log(`GLTF Loading: ${Math.round(percentComplete)}%`);
+        const tag = classifyMesh(child, collisionTagging);
+        if (report) report.push({ mesh: child.name, type: tag.type, walkable: tag.walkable, source: tag.source });
+
+        if (tag.type === 'none') return;
+        if (tag.type === 'trigger') {
+            child.visible = false;
+            if (triggers) addTriggerVolume(tag.trigger, new THREE.Box3().setFromObject(child));
+            return;
+        }
+
+        let collider = child;
+        if (tag.type === 'box') {
+            // Bake the mesh's world bounds instead of its triangles
+            const bounds = new THREE.Box3().setFromObject(child);
+            collider = new THREE.Mesh(new THREE.BoxGeometry(...bounds.getSize(new THREE.Vector3()).toArray()));
+            collider.position.copy(bounds.getCenter(new THREE.Vector3()));
+        }
+        if (tag.type === 'proxy') child.visible = false; // Hide collision meshes
+
+        if (objects) objects.push(child);
+        const key = keyFor(child);
+        if (!groups.has(key)) groups.set(key, { walkable: [], blocking: [] });
+        groups.get(key)[tag.walkable ? 'walkable' : 'blocking'].push(collider);
+    });
+
+    groups.forEach((group, key) => {
+        collisionWorld.addMeshes(key, group.walkable);
+        collisionWorld.addMeshes(`${key}:blocking`, group.blocking, { walkable: false });
+    });
+    return [...groups.keys()];
+}
+
+// Both collider keys bakeColliders() creates for each of `keys`
+function withBlocking(keys) {
+    return keys.flatMap((key) => [key, `${key}:blocking`]);
+}
+
+// Coarse chunks get their own colliders, switched off while the detailed chunk is in
+function modelKeyFor(mesh) {
+    const chunk = chunkStreamer && chunkStreamer.chunkIdFor(mesh);
+    return chunk ? `model:chunk:${chunk}` : 'model';
+}
+
+let campusModel = null;
+let modelColliderKeys = [];
+
+// (Re)bakes the campus colliders with the collider editor's mesh tags and vertical shift;
+// trigger volumes and collidableObjects are only collected on the first bake
+function bakeModelColliders({ triggers = false, objects = null } = {}) {
+    withBlocking(modelColliderKeys).forEach((key) => collisionWorld.remove(key));
+    colliderEditor.applyMeshTags(campusModel);
+    colliderReport.length = 0;
+    modelColliderKeys = bakeColliders(campusModel, { keyFor: modelKeyFor, report: colliderReport, triggers, objects });
+    collisionWorld.translate(colliderEditor.getOffsetY(), withBlocking(modelColliderKeys));
+    shownChunks.forEach((root, id) => setCoarseChunkColliders(id, false));
+    navGraph.invalidate();
+}
+
+function bakeChunkColliders(id, root) {
+    collisionWorld.remove(`chunk:${id}`);
+    collisionWorld.remove(`chunk:${id}:blocking`);
+    colliderEditor.applyMeshTags(root);
+    const keys = bakeColliders(root, { keyFor: () => `chunk:${id}` });
+    collisionWorld.translate(colliderEditor.getOffsetY(), withBlocking(keys));
+    setCoarseChunkColliders(id, false);
+    navGraph.invalidate(new THREE.Box3().setFromObject(root));
+}
+
+// Adds the loaded campus and bakes its colliders; `handle` reports to the loading tracker
+function setupModel(gltf, handle) {
+    scene.add(gltf.scene);
+    hotspots.setModel(gltf.scene);
+    daylight.addModel(gltf.scene);
+
+    const box = new THREE.Box3().setFromObject(gltf.scene);
+    const center = box.getCenter(new THREE.Vector3());
+    gltf.scene.position.sub(center);
+    modelBounds.copy(box).translate(center.clone().negate());
+    orbitControls.target.copy(center);
+    orbitControls.update();
+
+    // Wait a frame for transformations to apply (and for the collider file), then bake
+    requestAnimationFrame(() => colliderFile.then((colliderData) => {
+        console.log('Building collision mesh...');
+        if (chunkStreamer) chunkStreamer.setCoarseModel(gltf.scene);
+
+        campusModel = gltf.scene;
+        colliderEditor.load(colliderData);
+        bakeModelColliders({ triggers: true, objects: collidableObjects });
+        const stats = collisionWorld.getStats();
+        console.log(`Built collision BVH from ${collidableObjects.length} meshes (${stats.triangles} triangles)`);
+
+        // Loader report: how every mesh was classified
+        console.log(`Collider classification (${collisionTagging.useNameFallback ? 'extras + name fallback' : 'extras, untagged solid'}):`);
+        console.table(colliderReport);
+        if (triggerVolumes.length > 0) console.log(`Trigger volumes: ${triggerVolumes.map(t => t.id).join(', ')}`);
+
+        // Colliders did not exist while loading: settle an FPS player onto the real floor
+        collidersReady = true;
+        routeGuide.addFromModel(gltf.scene);
+        if (pendingView) {
+            applyView(pendingView);
+            pendingView = null;
+        } else if (activeControls === fpsControls) {
+            placePlayerAt(worldSettings.spawnPoint);
+        }
+        handle.done();
+    }));
+}
+
+// --------------------- Collider Editor ---------------------
+// Box colliders, per-mesh collision tags and a vertical shift, edited in the browser and
+// exported as <model>.colliders.json (src/colliderEditor.js). The file is fetched alongside
+// the model and applied before the first bake.
+const colliderFileUrl = manifest.colliders || getColliderFileUrl(manifest.model);
+const colliderFile = loadColliderFile(colliderFileUrl);
+
+const colliderEditor = createColliderEditor({
+    scene,
+    camera,
+    domElement: renderer.domElement,
+    collisionWorld,
+    orbitControls,
+    fileName: colliderFileUrl.split('/').pop(),
+    getModels: () => (campusModel ? [campusModel, ...shownChunks.values()] : []),
+    onOpen: () => {
+        if (tour.isActive()) tour.stop();
+        cameraTransition.finish();
+        if (activeControls !== orbitControls) activateOrbitControls();
     },
-    (error) => {
-        console.error('GLTF loading error:', error);
+    onTagsChanged: () => {
+        if (!campusModel) return;
+        bakeModelColliders();
+        shownChunks.forEach((root, id) => bakeChunkColliders(id, root));
     }
-);
+});
+
+bindColliderEditorPanel(colliderEditor, () => orbitControls.target);
+inputBindings.on('toggleColliderEditor', () => {
+    if (!vrMode.isPresenting()) colliderEditor.toggle();
+});
+inputBindings.on('editorMoveTool', () => {
+    if (colliderEditor.isOpen()) colliderEditor.setMode('translate');
+});
+inputBindings.on('editorResizeTool', () => {
+    if (colliderEditor.isOpen()) colliderEditor.setMode('scale');
+});
+inputBindings.on('editorDelete', () => {
+    if (colliderEditor.isOpen()) colliderEditor.deleteSelected();
+});
+window.colliderEditor = colliderEditor; // e.g. colliderEditor.addBox([0, 1, 0], [4, 2, 4])
+
+loadingTracker.add('model', {
+    label: i18n.t('Campus model'),
+    load: (handle) => loader.load(manifest.model,
+        (gltf) => {
+            console.log('GLTF model loaded successfully');
+            handle.processing(i18n.t('Building campus colliders...'));
+            setupModel(gltf, handle);
+        },
+        (progress) => handle.progress(progress),
+        (error) => handle.fail(error)
+    )
+});
+
+// --------------------- Time of Day ---------------------
+// Procedural sky, sun and night lights (src/daylight.js). Off by default, which keeps the
+// manifest's HDRI; ?time=18:30 (or ?time=now for the real clock) and ?weather=fog turn it on
+const daylightFocus = new THREE.Vector3();
+const daylight = createDaylight({
+    scene,
+    renderer,
+    camera,
+    getFocus: () => {
+        if (vrMode.isPresenting()) return vrMode.getHeadPosition(daylightFocus);
+        return activeControls === fpsControls ? camera.position : orbitControls.target;
+    },
+    onDisable: () => applyStaticSky()
+});
+
+bindTimePanel(daylight);
+window.daylight = daylight; // e.g. daylight.setTime(19.5), daylight.setMode('clock')
 
 // --------------------- HDRI Environment ---------------------
 const pmremGenerator = new THREE.PMREMGenerator(renderer);
 pmremGenerator.compileEquirectangularShader();
 
-new EXRLoader(loadingManager).setPath('/').load('sky.exr',
-    (texture) => {
-        console.log('HDRI loaded successfully');
-        const envMap = pmremGenerator.fromEquirectangular(texture).texture;
-        scene.environment = envMap;
-        scene.background = envMap;
-        texture.dispose();
-        pmremGenerator.dispose();
-    },
-    (progress) => {
-        const percentComplete = (progress.loaded / progress.total) * 100;
-        console.log(`HDRI Loading: ${Math.round(percentComplete)}%`);
-    },
-    (error) => {
-        console.error('HDRI loading error:', error);
+// The HDRI is kept so the environment map can be rebuilt at each quality preset's size
+let environmentSource = null;
+let environmentSize = 0;
+let staticEnvironment = null;
+let staticBackground = null;
+
+// Shows the HDRI (or fallback) unless the time-of-day sky has taken over
+function applyStaticSky() {
+    if (daylight.isEnabled()) return;
+    scene.environment = staticEnvironment;
+    scene.background = staticBackground;
+}
+
+function updateEnvironmentMap(size) {
+    if (!environmentSource || size === environmentSize) return;
+    environmentSize = size;
+
+    const cubeTarget = new THREE.WebGLCubeRenderTarget(size, { type: THREE.HalfFloatType });
+    cubeTarget.fromEquirectangularTexture(renderer, environmentSource);
+    const envMap = pmremGenerator.fromCubemap(cubeTarget.texture).texture;
+    cubeTarget.dispose();
+
+    if (staticEnvironment) staticEnvironment.dispose();
+    staticEnvironment = envMap;
+    staticBackground = envMap;
+    applyStaticSky();
+}
+
+// Scenes without an HDRI, or whose HDRI fails, get a plain sky and a neutral room
+// environment for PBR materials
+function useFallbackEnvironment() {
+    staticBackground = new THREE.Color(0xb0c4de);
+    staticEnvironment = pmremGenerator.fromScene(new RoomEnvironment(), 0.04).texture;
+    applyStaticSky();
+}
+
+if (manifest.environment) {
+    loadingTracker.add('environment', {
+        label: i18n.t('Sky lighting'),
+        optional: true,
+        fallback: useFallbackEnvironment,
+        load: (handle) => new EXRLoader(loadingManager).load(manifest.environment,
+            (texture) => {
+                console.log('HDRI loaded successfully');
+                environmentSource = texture;
+                updateEnvironmentMap(quality.getPreset().envMapSize);
+                handle.done();
+            },
+            (progress) => handle.progress(progress),
+            (error) => handle.fail(error)
+        )
+    });
+} else {
+    useFallbackEnvironment();
+}
+
+// Every asset is registered: start downloading
+loadingTracker.start();
+
+// --------------------- Rendering Quality ---------------------
+const quality = createQuality({
+    renderer,
+    scene,
+    camera,
+    baseFar: manifest.camera.far,
+    onChange: (preset) => {
+        updateEnvironmentMap(preset.envMapSize);
+        daylight.setEnvironmentSize(preset.envMapSize);
+        if (chunkStreamer) chunkStreamer.setDistanceScale(preset.lodScale);
     }
-);
+});
+
+bindQualitySelect(quality, i18n);
+quality.apply();
+window.quality = quality; // e.g. quality.setMode('low')
+
+const urlParams = new URLSearchParams(window.location.search);
+const timeParam = parseTimeParam(urlParams.get('time'));
+if (timeParam === 'now') daylight.setMode('clock');
+else if (timeParam !== null) daylight.setTime(timeParam);
+if (urlParams.get('weather')) {
+    if (!daylight.isEnabled()) daylight.setMode('time');
+    daylight.setWeather(urlParams.get('weather'));
+}
 
 // --------------------- Window Resize ---------------------
 window.addEventListener('resize', () => {
+    // The headset sizes its own framebuffer while presenting
+    if (renderer.xr.isPresenting) return;
     camera.aspect = window.innerWidth / window.innerHeight;
     camera.updateProjectionMatrix();
     renderer.setSize(window.innerWidth, window.innerHeight);
@@ -978,11 +1506,25 @@ window.addEventListener('resize', () => {
 // --------------------- FIXED Animation Loop with Proper Vertical Collision ---------------------
 const clock = new THREE.Clock();
 
+// Driven by setAnimationLoop so the same loop renders headset frames in VR
 function animate() {
-    requestAnimationFrame(animate);
     const delta = clock.getDelta();
 
-    if (activeControls === fpsControls) {
+    tour.update(delta);
+    cameraTransition.update(delta);
+    routeGuide.update(delta);
+    if (chunkStreamer) chunkStreamer.update(delta);
+    if (!vrMode.isPresenting()) quality.update(delta);
+    daylight.update(delta);
+    gamepadInput.update(delta);
+
+    if (vrMode.isPresenting()) {
+        vrMode.update(delta);
+        stepEyeOffset = 0;
+        updateTriggerVolumes(vrMode.getHeadPosition(vrForward));
+    } else if (isCameraBusy()) {
+        // The tour or a mode flight animates the camera itself
+    } else if (activeControls === fpsControls) {
         velocity.set(0, 0, 0);
         direction.set(0, 0, 0);
 
@@ -992,8 +1534,17 @@ function animate() {
         if (move.right) direction.x += 1;
         direction.normalize();
 
-        const currentSpeed = (isRunning ? runSpeed : baseSpeed) * bunnyHopMultiplier;
-        const moveDistance = currentSpeed * delta;
+        // Sticks (touch joystick, gamepad) steer in any direction, slower when half pushed
+        let stickScale = 1;
+        if (joystickVector.lengthSq() > 0 && direction.lengthSq() > 0) {
+            direction.set(joystickVector.x, 0, -joystickVector.y);
+            stickScale = Math.min(direction.length(), 1);
+            direction.normalize();
+        }
+
+        updateCrouch();
+        const currentSpeed = isCrouching ? crouchSpeed : (isRunning ? runSpeed : baseSpeed) * bunnyHopMultiplier;
+        const moveDistance = currentSpeed * stickScale * delta;
 
         // Calculate desired movement in world coordinates
         const forward = new THREE.Vector3();
@@ -1013,115 +1564,86 @@ function animate() {
         desiredPos.add(forward.clone().multiplyScalar(-direction.z * moveDistance));
         desiredPos.add(right.clone().multiplyScalar(direction.x * moveDistance));
 
-        // Apply collision-aware horizontal movement
-        const validPos = getValidMovement(currentPos, desiredPos);
-        camera.position.copy(validPos);
-
-        // FIXED: Enhanced gravity and vertical collision
-        const prevY = camera.position.y;
+        // Gravity, then one capsule sweep for the whole displacement
         verticalVelocity += gravity * delta;
+        const displacement = desiredPos.sub(currentPos);
+        displacement.y = verticalVelocity * delta;
 
-        // Calculate next vertical position
-        const nextY = camera.position.y + verticalVelocity * delta;
-        const nextPos = new THREE.Vector3(camera.position.x, nextY, camera.position.z);
-
-        // Check vertical collision based on movement direction
-        if (verticalVelocity > 0) {
-            // Moving up (jumping) - check head collision
-            const headCheck = checkVerticalCollision(nextPos, 'up');
-            if (headCheck.collision) {
-                // Hit ceiling/roof - stop upward movement
-                verticalVelocity = 0;
-                const roofBottom = headCheck.box.min.y;
-                camera.position.y = roofBottom - cameraBoxSize.y + 0.1; // Position just below roof
-                console.log('Head hit roof at Y:', roofBottom);
-            } else {
-                camera.position.y = nextY;
-            }
-        } else {
-            // Moving down (falling) - check ground collision
-            const groundCheck = checkVerticalCollision(nextPos, 'down');
-            if (groundCheck.collision) {
-                // Hit ground/floor
-                verticalVelocity = 0;
-                canJump = true;
-                const floorTop = groundCheck.box.max.y;
-                camera.position.y = floorTop;
-                if (!move.forward && !move.backward && !move.left && !move.right) {
-                    bunnyHopMultiplier = 1;
-                }
-            } else {
-                camera.position.y = nextY;
-            }
+        collisionWorld.moveWalker(camera.position, displacement, playerCapsule, walkSettings, moveResult);
+
+        // Hide the step snap behind an eye offset that decays over a few frames
+        if (Math.abs(moveResult.stepDelta) > 0.05) stepEyeOffset -= moveResult.stepDelta;
+        stepEyeOffset *= Math.exp(-stepSmoothing * delta);
+
+        if (moveResult.hitCeiling && verticalVelocity > 0) {
+            // Hit ceiling/roof - stop upward movement
+            verticalVelocity = 0;
+            if (window.DEBUG_COLLISION_LOG) console.log('Head hit roof at Y:', camera.position.y.toFixed(2));
         }
 
-        // Fallback ground collision (original system as backup)
-        let currentGround = isCrouching ? groundHeight + crouchOffset : groundHeight;
-        if (camera.position.y <= currentGround) {
-            camera.position.y = currentGround;
+        if (moveResult.grounded && verticalVelocity <= 0) {
+            // Standing on a walkable surface
             verticalVelocity = 0;
             canJump = true;
             if (!move.forward && !move.backward && !move.left && !move.right) {
                 bunnyHopMultiplier = 1;
             }
+            if (window.DEBUG_COLLISION_LOG) console.log(`Grounded on ${moveResult.collider} at Y: ${camera.position.y.toFixed(2)}`);
+        }
+
+        updateTriggerVolumes(camera.position);
+
+        // Fell out of the world
+        const killPlane = getKillPlaneY();
+        if (killPlane !== null && camera.position.y - playerCapsule.eyeHeight < killPlane) {
+            respawnPlayer();
         }
     } else {
         orbitControls.update();
+        stepEyeOffset = 0;
     }
 
+    camera.position.y += stepEyeOffset;
     renderer.render(scene, camera);
+    camera.position.y -= stepEyeOffset;
+    debugHud.update(delta);
+    analytics.update(delta);
+
+    minimap.update();
+    syncViewToUrl(delta);
 }
 
 // Start animation loop
-animate();
+renderer.setAnimationLoop(animate);
 
 // --------------------- Helper Functions for Manual Collision Setup ---------------------
 
-// Function to manually add collision boxes (call this from console)
-window.addCollisionBox = function (x, y, z, width, height, depth) {
-    const box = new THREE.Box3(
-        new THREE.Vector3(x - width / 2, y - height / 2, z - depth / 2),
-        new THREE.Vector3(x + width / 2, y + height / 2, z + depth / 2)
-    );
-    colliderBoxes.push(box);
-    console.log(`Added manual collision box at (${x}, ${y}, ${z})`);
-
-    // Create debug visualization
-    if (window.DEBUG_COLLIDERS) {
-        const boxGeometry = new THREE.BoxGeometry(width, height, depth);
-        const boxMaterial = new THREE.MeshBasicMaterial({
-            color: 0x00ff00,
-            wireframe: true,
-            transparent: true,
-            opacity: 0.5
-        });
-        const debugBox = new THREE.Mesh(boxGeometry, boxMaterial);
-        debugBox.position.set(x, y, z);
-        scene.add(debugBox);
-    }
-};
-
-// Function to clear all collision boxes
-window.clearCollisionBoxes = function () {
-    colliderBoxes.length = 0;
-    console.log('All collision boxes cleared');
-
-    // Remove debug visualizations
-    const debugBoxes = scene.children.filter(child =>
-        child.material && child.material.wireframe &&
-        (child.material.color.getHex() === 0xff0000 || child.material.color.getHex() === 0x00ff00)
-    );
-    debugBoxes.forEach(box => scene.remove(box));
+// Collider boxes and vertical shifts: the collider editor (K), or window.colliderEditor
+window.walkSettings = walkSettings; // e.g. walkSettings.maxStepHeight = 0.3
+window.worldSettings = worldSettings; // e.g. worldSettings.killPlaneY = -60
+window.respawnPlayer = respawnPlayer;
+window.colliderReport = colliderReport; // console.table(colliderReport)
+window.navigationSettings = navigationSettings;
+window.navigateTo = (id, fromId = null) => routeGuide.navigate(id, fromId); // e.g. navigateTo('room-204')
+window.navGraphStats = () => navGraph.getStats();
+window.chunkStats = () => chunkStreamer ? console.table(chunkStreamer.getStats()) : console.log('Streaming is off for this scene');
+
+// Prints the current view as a tour stop, ready to paste into public/tour.json
+window.logTourStop = function (title = 'New Stop') {
+    const round = (v) => v.toArray().map(n => Number(n.toFixed(2)));
+    const stop = {
+        id: title.toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+        title,
+        description: '',
+        camera: { position: round(camera.position), target: round(getLookTarget()) }
+    };
+    console.log(JSON.stringify(stop, null, 4));
 };
-
-// Add helper functions to window for debugging
-window.adjustCollisionHeight = adjustCollisionBoxHeight;
 window.testHeadCollision = function () {
     const headCheck = checkHeadCollision(camera.position);
     console.log('Head collision test:', headCheck.collision);
     if (headCheck.collision) {
-        const center = headCheck.box.getCenter(new THREE.Vector3());
-        console.log('Colliding with box at:', center);
+        console.log('Colliding with:', headCheck.collider);
     }
 };
 
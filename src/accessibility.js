@@ -0,0 +1,221 @@
+// --------------------- Accessibility ---------------------
+// Settings behind the ♿ button (#a11yPanel in index.html), saved in localStorage:
+//   accessible mode   a "Places" list of tour stops to step through with Tab and Enter
+//   high contrast     opaque panels, white text and yellow focus rings (body.high-contrast)
+//   reduced motion    camera flights become quick fades and damping is switched off;
+//                     'auto' follows the system prefers-reduced-motion setting
+//   field of view     replaces the manifest's fixed camera fov
+// announce() speaks through the #a11yAnnouncer live region (current place, mode changes).
+
+export const DEFAULT_ACCESSIBILITY_SETTINGS = {
+    accessibleMode: false,
+    highContrast: false,
+    reducedMotion: 'auto',   // 'auto' (system setting), 'on' or 'off'
+    fov: null                // Degrees; null = the manifest's camera.fov
+};
+
+export const FOV_RANGE = { min: 30, max: 90 };
+
+// Faded jumps: seconds for the whole fade out, jump and fade in
+export const FADE_DURATION = 0.6;
+
+const STORAGE_KEY = 'campusViewer.accessibility';
+
+const reducedMotionQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+// Overlay opacity at progress t (0-1) of a faded jump: black at the midpoint
+export function fadeAlpha(t) {
+    return t < 0.5 ? t * 2 : (1 - t) * 2;
+}
+
+// Camera progress at t of a faded jump: stays put, then jumps while the screen is black
+export function fadeStep(t) {
+    return t < 0.5 ? 0 : 1;
+}
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    } catch (error) {
+        console.warn('Ignoring unreadable accessibility settings:', error);
+        return { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+    }
+}
+
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save accessibility settings:', error);
+    }
+}
+
+// `defaultFov` is the manifest's; onChange(state) lets main.js retune controls
+export function createAccessibility({ camera, defaultFov, onChange }) {
+    const announcer = document.getElementById('a11yAnnouncer');
+    const fadeOverlay = document.getElementById('fadeOverlay');
+    let settings = loadSettings();
+    const listeners = [];
+
+    function isReducedMotion() {
+        if (settings.reducedMotion === 'on') return true;
+        if (settings.reducedMotion === 'off') return false;
+        return reducedMotionQuery.matches;
+    }
+
+    function getFov() {
+        const fov = Number.isFinite(settings.fov) ? settings.fov : defaultFov;
+        return Math.min(Math.max(fov, FOV_RANGE.min), FOV_RANGE.max);
+    }
+
+    function apply() {
+        document.body.classList.toggle('accessible-mode', settings.accessibleMode);
+        document.body.classList.toggle('high-contrast', settings.highContrast);
+        document.body.classList.toggle('reduced-motion', isReducedMotion());
+
+        camera.fov = getFov();
+        camera.updateProjectionMatrix();
+
+        if (onChange) onChange(getState());
+        notify();
+    }
+
+    function setSettings(changes) {
+        settings = { ...settings, ...changes };
+        saveSettings(settings);
+        apply();
+    }
+
+    function resetSettings() {
+        settings = { ...DEFAULT_ACCESSIBILITY_SETTINGS };
+        saveSettings(settings);
+        apply();
+    }
+
+    // Clearing first makes screen readers repeat a message that has not changed
+    let announceTimer = null;
+    function announce(message) {
+        if (!message) return;
+        announcer.textContent = '';
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            announcer.textContent = message;
+        }, 100);
+    }
+
+    // 0 = clear, 1 = black; driven by the tour and camera transitions during faded jumps
+    function setFade(alpha) {
+        fadeOverlay.style.opacity = alpha;
+    }
+
+    reducedMotionQuery.addEventListener('change', apply);
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { settings: { ...settings }, reducedMotion: isReducedMotion(), fov: getFov() };
+    }
+
+    apply();
+
+    return {
+        setSettings,
+        resetSettings,
+        isReducedMotion,
+        announce,
+        setFade,
+        subscribe,
+        getState
+    };
+}
+
+// Wires the ♿ button and #a11yPanel in index.html
+export function bindAccessibilityPanel(accessibility) {
+    const panel = document.getElementById('a11yPanel');
+    if (!panel) return;
+    const button = document.getElementById('a11yBtn');
+    const accessibleMode = document.getElementById('a11yMode');
+    const highContrast = document.getElementById('a11yHighContrast');
+    const reducedMotion = document.getElementById('a11yReducedMotion');
+    const fov = document.getElementById('a11yFov');
+    const fovLabel = document.getElementById('a11yFovLabel');
+
+    fov.min = FOV_RANGE.min;
+    fov.max = FOV_RANGE.max;
+
+    function setOpen(open) {
+        panel.classList.toggle('show', open);
+        button.setAttribute('aria-expanded', String(open));
+        if (open) accessibleMode.focus();
+    }
+
+    button.addEventListener('click', () => setOpen(!panel.classList.contains('show')));
+    document.getElementById('a11yCloseBtn').addEventListener('click', () => {
+        setOpen(false);
+        button.focus();
+    });
+    document.getElementById('a11yResetBtn').addEventListener('click', () => accessibility.resetSettings());
+    panel.addEventListener('keydown', (e) => {
+        if (e.key !== 'Escape') return;
+        setOpen(false);
+        button.focus();
+    });
+
+    accessibleMode.addEventListener('change', () => accessibility.setSettings({ accessibleMode: accessibleMode.checked }));
+    highContrast.addEventListener('change', () => accessibility.setSettings({ highContrast: highContrast.checked }));
+    reducedMotion.addEventListener('change', () => accessibility.setSettings({ reducedMotion: reducedMotion.value }));
+    fov.addEventListener('input', () => accessibility.setSettings({ fov: Number(fov.value) }));
+
+    accessibility.subscribe(({ settings, fov: value }) => {
+        accessibleMode.checked = settings.accessibleMode;
+        highContrast.checked = settings.highContrast;
+        reducedMotion.value = settings.reducedMotion;
+        fov.value = value;
+        fovLabel.textContent = `${value}°`;
+    });
+}
+
+// Fills #placesList with one button per tour stop; Tab moves between them, Enter goes there
+export function bindPlacesList(tour, onSelect, i18n) {
+    const list = document.getElementById('placesList');
+    if (!list) return;
+    let renderedCount = -1;
+
+    function render(state) {
+        if (state.count !== renderedCount) {
+            renderedCount = state.count;
+            list.innerHTML = '';
+            tour.getStops().forEach((stop, index) => {
+                const item = document.createElement('li');
+                const button = document.createElement('button');
+                const title = i18n.localize(stop.title);
+                button.textContent = title;
+                button.setAttribute('aria-label', i18n.t('Go to {place}', { place: title }));
+                button.addEventListener('click', () => onSelect(index));
+                item.appendChild(button);
+                list.appendChild(item);
+            });
+        }
+        [...list.querySelectorAll('button')].forEach((button, index) => {
+            const current = state.active && index === state.index;
+            if (current) button.setAttribute('aria-current', 'location');
+            else button.removeAttribute('aria-current');
+        });
+    }
+
+    tour.subscribe(render);
+    // Rebuilt with the stop titles in the new language
+    i18n.subscribe(() => {
+        renderedCount = -1;
+        render(tour.getState());
+    });
+}
@@ -0,0 +1,421 @@
+import * as THREE from 'three';
+
+// --------------------- Visit Analytics ---------------------
+// Anonymous, opt-in record of where visitors go. Nothing is collected until the visitor
+// agrees (#analyticsConsent banner, or the checkbox in the ♿ panel); Do Not Track and
+// Global Privacy Control count as a "no". Events carry a random per-visit id, seconds since
+// the visit started and rounded positions - no user agent, cookies or absolute times:
+//   { type: 'sample', t, mode, p: [x, y, z], dt }   position every sampleInterval seconds
+//   { type: 'mode', t, from, to }                    orbit / fps / vr switches
+//   { type: 'dwell', t, mode, p: [x, y, z], seconds } stayed within dwellRadius that long
+// Events are queued and sent in batches to a sink - an HTTP endpoint (the manifest's
+// analyticsEndpoint) or, without one, the local sink below that keeps them in localStorage
+// for testing. update() only compares timers each frame; sending waits for an idle moment.
+// exportHeatmap() downloads a PNG of the time spent per cell over the minimap's top-down view
+// (walking and VR samples only, see HEATMAP_MODES).
+
+export const DEFAULT_ANALYTICS_SETTINGS = {
+    sampleInterval: 1,     // Seconds between position samples
+    flushInterval: 30,     // Seconds between batches
+    maxQueue: 500,         // Oldest events are dropped past this while a sink is failing
+    dwellRadius: 3,        // Metres the visitor may drift and still count as staying put
+    minDwell: 5,           // Seconds before a stay is reported
+    heatmapCellSize: 4     // Metres per heatmap cell
+};
+
+// Camera modes whose samples make up the heatmap
+export const HEATMAP_MODES = ['fps', 'vr'];
+
+const CONSENT_KEY = 'campusViewer.analytics';
+const LOCAL_INDEX_KEY = 'campusViewer.analyticsBatches';
+const LOCAL_BATCH_PREFIX = 'campusViewer.analyticsBatch.';
+const _position = new THREE.Vector3();
+
+// toFixed keeps float noise (0.30000000000000004) out of the JSON
+function round(value, step = 0.1) {
+    return Number((Math.round(value / step) * step).toFixed(2));
+}
+
+function declinedByBrowser() {
+    return navigator.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+// true / false once answered, null while the visitor has not been asked
+function loadConsent() {
+    try {
+        const stored = localStorage.getItem(CONSENT_KEY);
+        if (stored === 'on') return true;
+        if (stored === 'off') return false;
+    } catch (error) {
+        console.warn('Ignoring unreadable analytics choice:', error);
+    }
+    return declinedByBrowser() ? false : null;
+}
+
+function saveConsent(enabled) {
+    try {
+        localStorage.setItem(CONSENT_KEY, enabled ? 'on' : 'off');
+    } catch (error) {
+        console.warn('Could not save analytics choice:', error);
+    }
+}
+
+// --------------------- Sinks ---------------------
+// A sink is { name, send(batch, { unloading }) } returning a promise; a batch is
+// { session, scene, events }. `unloading` is set when the page is being hidden.
+
+// POSTs batches as JSON; sendBeacon while the page unloads so the last batch survives
+export function createEndpointSink(url) {
+    return {
+        name: url,
+        async send(batch, { unloading = false } = {}) {
+            const body = JSON.stringify(batch);
+            if (unloading && navigator.sendBeacon) {
+                if (navigator.sendBeacon(url, new Blob([body], { type: 'application/json' }))) return;
+            }
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            });
+            if (!response.ok) throw new Error(`Analytics endpoint ${url}: HTTP ${response.status}`);
+        }
+    };
+}
+
+// Keeps roughly the newest `maxEvents` events in localStorage, e.g. to test without a server or to
+// build a heatmap from several visits on this machine. Each batch gets its own key, so a send
+// only writes that batch and a small index instead of re-saving everything stored so far.
+export function createLocalSink({ maxEvents = 5000 } = {}) {
+    // [{ id, count }], oldest first
+    function loadIndex() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(LOCAL_INDEX_KEY) || '[]');
+            return Array.isArray(stored) ? stored.filter((entry) => entry && Number.isInteger(entry.id)) : [];
+        } catch (error) {
+            console.warn('Ignoring unreadable local analytics index:', error);
+            return [];
+        }
+    }
+
+    function readBatch(id) {
+        try {
+            const stored = JSON.parse(localStorage.getItem(`${LOCAL_BATCH_PREFIX}${id}`) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn(`Ignoring unreadable local analytics batch ${id}:`, error);
+            return [];
+        }
+    }
+
+    // Only for exports: reads every stored batch
+    function getEvents() {
+        return loadIndex().flatMap((entry) => readBatch(entry.id));
+    }
+
+    async function send(batch) {
+        const index = loadIndex();
+        const id = index.length > 0 ? index[index.length - 1].id + 1 : 0;
+        const events = batch.events.map((event) => ({ ...event, session: batch.session }));
+        try {
+            localStorage.setItem(`${LOCAL_BATCH_PREFIX}${id}`, JSON.stringify(events));
+            index.push({ id, count: events.length });
+
+            // Whole batches fall out once the newest ones alone reach maxEvents
+            let total = index.reduce((sum, entry) => sum + entry.count, 0);
+            while (index.length > 1 && total - index[0].count >= maxEvents) {
+                const oldest = index.shift();
+                total -= oldest.count;
+                localStorage.removeItem(`${LOCAL_BATCH_PREFIX}${oldest.id}`);
+            }
+            localStorage.setItem(LOCAL_INDEX_KEY, JSON.stringify(index));
+        } catch (error) {
+            console.warn('Could not save local analytics:', error);
+        }
+    }
+
+    function clear() {
+        try {
+            loadIndex().forEach((entry) => localStorage.removeItem(`${LOCAL_BATCH_PREFIX}${entry.id}`));
+            localStorage.removeItem(LOCAL_INDEX_KEY);
+        } catch (error) {
+            console.warn('Could not clear local analytics:', error);
+        }
+    }
+
+    return { name: 'local', send, getEvents, clear };
+}
+
+// --------------------- Heatmap ---------------------
+// Seconds spent per cell from sample events: Map of 'i,j' -> { x, z, seconds }. Only samples
+// taken in `modes` count: orbit samples sit on the orbit target (the model centre on the
+// overview), so by default the map shows where visitors actually walked.
+export function buildHeatmapGrid(events, cellSize = DEFAULT_ANALYTICS_SETTINGS.heatmapCellSize, { modes = HEATMAP_MODES } = {}) {
+    const grid = new Map();
+    events.forEach((event) => {
+        if (event.type !== 'sample' || !Array.isArray(event.p) || !modes.includes(event.mode)) return;
+        const i = Math.floor(event.p[0] / cellSize);
+        const j = Math.floor(event.p[2] / cellSize);
+        const key = `${i},${j}`;
+        if (!grid.has(key)) grid.set(key, { x: i * cellSize, z: j * cellSize, seconds: 0 });
+        grid.get(key).seconds += event.dt || 0;
+    });
+    return grid;
+}
+
+// Blue (a little time) through yellow to red (the most visited cell)
+function heatColor(level) {
+    const hue = (1 - level) * 240;
+    return `hsla(${hue}, 100%, 50%, ${0.35 + level * 0.5})`;
+}
+
+// Draws `grid` over `footprint` ({ image, bounds } from the minimap); without a footprint
+// the map covers the visited cells on a dark background
+export function renderHeatmap(grid, { cellSize = DEFAULT_ANALYTICS_SETTINGS.heatmapCellSize, footprint = null, resolution = 1024 } = {}) {
+    const cells = [...grid.values()];
+    const bounds = new THREE.Box3();
+    if (footprint) {
+        bounds.copy(footprint.bounds);
+    } else {
+        cells.forEach((cell) => {
+            bounds.expandByPoint(_position.set(cell.x, 0, cell.z));
+            bounds.expandByPoint(_position.set(cell.x + cellSize, 0, cell.z + cellSize));
+        });
+        if (bounds.isEmpty()) bounds.set(new THREE.Vector3(-cellSize, 0, -cellSize), new THREE.Vector3(cellSize, 0, cellSize));
+    }
+
+    const width = bounds.max.x - bounds.min.x;
+    const depth = bounds.max.z - bounds.min.z;
+    const scale = resolution / Math.max(width, depth);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(depth * scale));
+
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    if (footprint) ctx.drawImage(footprint.image, 0, 0, canvas.width, canvas.height);
+
+    // Square root so a few long stays do not wash out everything else
+    const max = Math.max(...cells.map((cell) => cell.seconds), 1e-6);
+    cells.forEach((cell) => {
+        ctx.fillStyle = heatColor(Math.sqrt(cell.seconds / max));
+        ctx.fillRect((cell.x - bounds.min.x) * scale, (cell.z - bounds.min.z) * scale, cellSize * scale, cellSize * scale);
+    });
+
+    const total = cells.reduce((sum, cell) => sum + cell.seconds, 0);
+    ctx.font = `${Math.round(canvas.height / 40)}px sans-serif`;
+    ctx.fillStyle = 'white';
+    ctx.fillText(`${(total / 60).toFixed(1)} min sampled · busiest cell ${Math.round(max)} s`, 10, canvas.height - 10);
+    return canvas;
+}
+
+// --------------------- Tracker ---------------------
+// getMode() -> 'orbit' | 'fps' | 'vr'; getPosition(target) fills where the visitor is on campus
+// (the orbit target when orbiting); getFootprint() -> { image, bounds } for the heatmap background, or null
+export function createAnalytics({ sceneName, endpoint = null, getMode, getPosition, getFootprint, settings = DEFAULT_ANALYTICS_SETTINGS }) {
+    let consent = loadConsent();
+    let sink = endpoint ? createEndpointSink(endpoint) : createLocalSink();
+    let session = null;
+    let elapsed = 0;
+    let sampleTimer = 0;
+    let lastSampleAt = 0;
+    let flushTimer = 0;
+    let flushScheduled = false;
+    let sending = false;
+    let mode = null;
+    let dwell = null;                // { x, y, z, since, mode }
+    let queue = [];
+    let sessionEvents = [];          // This visit's samples, for the heatmap
+    const listeners = [];
+
+    function startSession() {
+        session = crypto.randomUUID ? crypto.randomUUID() : Math.random().toString(36).slice(2);
+        elapsed = 0;
+        sampleTimer = 0;
+        lastSampleAt = 0;
+        flushTimer = 0;
+        dwell = null;
+        queue = [];
+        sessionEvents = [];
+    }
+
+    function isEnabled() {
+        return consent === true;
+    }
+
+    function record(event) {
+        event.t = round(elapsed);
+        queue.push(event);
+        if (queue.length > settings.maxQueue) queue.splice(0, queue.length - settings.maxQueue);
+    }
+
+    function closeDwell() {
+        if (!dwell) return;
+        const seconds = elapsed - dwell.since;
+        if (seconds >= settings.minDwell) {
+            record({ type: 'dwell', mode: dwell.mode, p: [round(dwell.x), round(dwell.y), round(dwell.z)], seconds: round(seconds) });
+        }
+        dwell = null;
+    }
+
+    function sample() {
+        if (mode === null) mode = getMode();
+        getPosition(_position);
+        const event = {
+            type: 'sample',
+            mode,
+            p: [round(_position.x), round(_position.y), round(_position.z)],
+            dt: round(elapsed - lastSampleAt, 0.01)
+        };
+        lastSampleAt = elapsed;
+        record(event);
+        sessionEvents.push(event);
+
+        if (dwell && Math.hypot(_position.x - dwell.x, _position.z - dwell.z) > settings.dwellRadius) closeDwell();
+        if (!dwell) dwell = { x: _position.x, y: _position.y, z: _position.z, since: elapsed, mode };
+    }
+
+    async function flush({ unloading = false } = {}) {
+        flushScheduled = false;
+        if (sending || queue.length === 0 || !isEnabled()) return;
+        const batch = { session, scene: sceneName, events: queue };
+        queue = [];
+        sending = true;
+        try {
+            await sink.send(batch, { unloading });
+        } catch (error) {
+            // Keep the events for the next batch
+            console.warn('Analytics batch not sent:', error);
+            queue = batch.events.concat(queue).slice(-settings.maxQueue);
+        } finally {
+            sending = false;
+        }
+    }
+
+    // Off the frame: the next idle period (or a timeout where idle callbacks are missing)
+    function scheduleFlush() {
+        if (flushScheduled) return;
+        flushScheduled = true;
+        if (window.requestIdleCallback) window.requestIdleCallback(() => flush(), { timeout: 2000 });
+        else setTimeout(() => flush(), 0);
+    }
+
+    // Call once per frame; samples and batches are driven by timers, not by the frame rate
+    function update(delta) {
+        if (!isEnabled()) return;
+        elapsed += delta;
+        sampleTimer += delta;
+        flushTimer += delta;
+        if (sampleTimer >= settings.sampleInterval) {
+            sampleTimer = 0;
+            sample();
+        }
+        if (flushTimer >= settings.flushInterval) {
+            flushTimer = 0;
+            scheduleFlush();
+        }
+    }
+
+    // Call from the camera mode switches
+    function recordMode(next) {
+        if (next === mode) return;
+        if (isEnabled() && mode !== null) {
+            closeDwell();
+            record({ type: 'mode', from: mode, to: next });
+        }
+        mode = next;
+    }
+
+    function setEnabled(enabled) {
+        if (enabled === consent) return;
+        if (!enabled && isEnabled()) {
+            closeDwell();
+            queue = [];
+        }
+        consent = enabled;
+        saveConsent(enabled);
+        if (enabled) startSession();
+        console.log(`Visit analytics ${enabled ? 'on' : 'off'} (${sink.name})`);
+        notify();
+    }
+
+    // Swap the destination, e.g. setSink(createEndpointSink('https://example.org/visits'))
+    function setSink(next) {
+        sink = next;
+        notify();
+    }
+
+    // The local sink's stored visits (which include this one once flushed) or this visit alone;
+    // `options.modes` overrides HEATMAP_MODES, e.g. getHeatmapGrid({ modes: ['orbit'] })
+    function getHeatmapGrid(options) {
+        const events = sink.getEvents ? sink.getEvents().concat(queue) : sessionEvents;
+        return buildHeatmapGrid(events, settings.heatmapCellSize, options);
+    }
+
+    function exportHeatmap(fileName = `${sceneName.replace(/[^\w-]+/g, '-').toLowerCase()}-heatmap.png`) {
+        const canvas = renderHeatmap(getHeatmapGrid(), { cellSize: settings.heatmapCellSize, footprint: getFootprint() });
+        canvas.toBlob((blob) => {
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = fileName;
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+            console.log(`Exported ${fileName}`);
+        });
+    }
+
+    // The last batch goes out as the page is hidden (tab switch, close, app switch)
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState !== 'hidden' || !isEnabled()) return;
+        closeDwell();
+        flush({ unloading: true });
+    });
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { consent, enabled: isEnabled(), sink: sink.name, queued: queue.length };
+    }
+
+    if (isEnabled()) startSession();
+
+    return {
+        update,
+        recordMode,
+        setEnabled,
+        setSink,
+        flush,
+        getHeatmapGrid,
+        exportHeatmap,
+        subscribe,
+        getState,
+        isEnabled,
+        getSink: () => sink
+    };
+}
+
+// Wires the #analyticsConsent banner and the #analyticsOptIn checkbox in index.html
+export function bindAnalyticsConsent(analytics) {
+    const banner = document.getElementById('analyticsConsent');
+    const optIn = document.getElementById('analyticsOptIn');
+    if (!banner) return;
+
+    document.getElementById('analyticsAllowBtn').addEventListener('click', () => analytics.setEnabled(true));
+    document.getElementById('analyticsDeclineBtn').addEventListener('click', () => analytics.setEnabled(false));
+    optIn.addEventListener('change', () => analytics.setEnabled(optIn.checked));
+
+    analytics.subscribe(({ consent, enabled }) => {
+        banner.classList.toggle('show', consent === null);
+        optIn.checked = enabled;
+    });
+}
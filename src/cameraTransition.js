@@ -0,0 +1,76 @@
+import * as THREE from 'three';
+import { FADE_DURATION, fadeAlpha, fadeStep } from './accessibility.js';
+
+// --------------------- Camera Transitions ---------------------
+// Animated flights for switching between orbit and FPS mode. A flight moves the camera from
+// where it is to `toPosition` while the point it looks at slides from `fromTarget` to
+// `toTarget`; main.js hands the camera to the new controls in `onComplete`. While
+// isReducedMotion() is true flights are replaced by a fade to black and a cut (onFade).
+
+export const EASINGS = {
+    linear: (t) => t,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+    easeOutQuint: (t) => 1 - Math.pow(1 - t, 5)
+};
+
+export function createCameraTransition({ camera, isReducedMotion = () => false, onFade = null }) {
+    let flight = null;
+    const lookTarget = new THREE.Vector3();
+
+    // options: { toPosition, fromTarget, toTarget, duration (s), easing (EASINGS name), arcHeight, onComplete }
+    function start({ toPosition, fromTarget, toTarget, duration = 1.5, easing = 'easeInOutCubic', arcHeight = 0, onComplete = null }) {
+        if (!EASINGS[easing]) console.warn(`Unknown easing "${easing}" - using easeInOutCubic`);
+        const fade = isReducedMotion();
+        flight = {
+            fromPosition: camera.position.clone(),
+            toPosition: toPosition.clone(),
+            fromTarget: fromTarget.clone(),
+            toTarget: toTarget.clone(),
+            duration: fade ? FADE_DURATION : Math.max(duration, 0.01),
+            ease: fade ? fadeStep : EASINGS[easing] || EASINGS.easeInOutCubic,
+            fade,
+            arcHeight: fade ? 0 : arcHeight,
+            elapsed: 0,
+            onComplete
+        };
+    }
+
+    function apply(t) {
+        const eased = flight.ease(t);
+        camera.position.lerpVectors(flight.fromPosition, flight.toPosition, eased);
+        camera.position.y += Math.sin(Math.PI * eased) * flight.arcHeight;
+        lookTarget.lerpVectors(flight.fromTarget, flight.toTarget, eased);
+        camera.lookAt(lookTarget);
+        if (flight.fade && onFade) onFade(fadeAlpha(t));
+    }
+
+    function end() {
+        const done = flight.onComplete;
+        flight = null;
+        if (done) done();
+    }
+
+    function update(delta) {
+        if (!flight) return;
+        flight.elapsed += delta;
+        const t = Math.min(flight.elapsed / flight.duration, 1);
+        apply(t);
+        if (t >= 1) end();
+    }
+
+    // Jumps to the end of the flight (e.g. when a tour takes the camera over)
+    function finish() {
+        if (!flight) return;
+        apply(1);
+        end();
+    }
+
+    return {
+        start,
+        update,
+        finish,
+        isActive: () => flight !== null
+    };
+}
@@ -0,0 +1,466 @@
+import * as THREE from 'three';
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls.js';
+
+// --------------------- Collider Editor ---------------------
+// In-browser collision tuning (#colliderEditorPanel in index.html), in place of the old
+// console helpers. While open (orbit mode) the collider wireframes show and:
+//   click a box          select it; the gizmo moves (G) or resizes (R) it, Delete removes it
+//   click a model mesh   select it and choose how it collides: auto / walkable / blocking / none
+//   Home/End/PgUp/PgDn   shift every collider up or down (models exported off the ground)
+// Export downloads a collider file. Saved next to the model as <model>.colliders.json (or
+// at the manifest's `colliders` path) it is loaded on startup, so the edits survive reloads:
+//   { "version": 1, "offsetY": 0,
+//     "boxes": [{ "center": [x, y, z], "size": [w, h, d], "walkable": true }],
+//     "meshes": { "<mesh name>": "walkable" | "blocking" | "none" } }
+// Boxes are in world space after the model is centred; mesh tags go by node name and act
+// like glTF extras set on the mesh itself (see src/colliderTags.js).
+
+export const COLLIDER_FILE_VERSION = 1;
+
+// Editor tag -> the extras it stands for
+export const MESH_TAGS = {
+    walkable: { collider: 'mesh', walkable: true },
+    blocking: { collider: 'mesh', walkable: false },
+    none: { collider: 'none', walkable: false }
+};
+
+const CLICK_TOLERANCE = 5;   // Pixels a click may drift before it counts as a drag
+const MIN_BOX_SIZE = 0.1;
+const DEFAULT_BOX_SIZE = 2;
+
+const BOX_COLOR = 0x00e676;
+const BLOCKING_BOX_COLOR = 0xff9100;
+const SELECTED_COLOR = 0xffeb3b;
+
+const _size = new THREE.Vector3();
+const _center = new THREE.Vector3();
+
+function isVector(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isFinite);
+}
+
+// Parsed collider file, with malformed entries dropped (and reported)
+function normalizeColliderFile(data, source) {
+    const result = { offsetY: 0, boxes: [], meshes: {} };
+    if (!data || typeof data !== 'object') {
+        console.warn(`Collider file ${source} is not an object - ignoring it`);
+        return result;
+    }
+    if (data.version !== undefined && data.version !== COLLIDER_FILE_VERSION) {
+        console.warn(`Collider file ${source} has version ${data.version}, expected ${COLLIDER_FILE_VERSION}`);
+    }
+    if (Number.isFinite(data.offsetY)) result.offsetY = data.offsetY;
+
+    (Array.isArray(data.boxes) ? data.boxes : []).forEach((box, index) => {
+        if (!box || !isVector(box.center) || !isVector(box.size) || box.size.some((n) => n <= 0)) {
+            console.warn(`Collider file ${source}: skipping box ${index} (needs center and positive size)`);
+            return;
+        }
+        result.boxes.push({ center: box.center, size: box.size, walkable: box.walkable !== false });
+    });
+
+    Object.entries(data.meshes && typeof data.meshes === 'object' ? data.meshes : {}).forEach(([name, tag]) => {
+        if (!MESH_TAGS[tag]) {
+            console.warn(`Collider file ${source}: unknown tag "${tag}" for mesh ${name}`);
+            return;
+        }
+        result.meshes[name] = tag;
+    });
+    return result;
+}
+
+// The collider file for a model, or null when there is none. A missing file is normal (no
+// edits yet); the dev server answers unknown paths with index.html, hence the type check.
+export async function loadColliderFile(url) {
+    try {
+        const response = await fetch(url);
+        const type = response.headers.get('content-type') || '';
+        if (!response.ok || !type.includes('json')) {
+            console.log(`No collider file at ${url}`);
+            return null;
+        }
+        const data = normalizeColliderFile(await response.json(), url);
+        console.log(`Collider file loaded: ${data.boxes.length} boxes, ${Object.keys(data.meshes).length} mesh tags (${url})`);
+        return data;
+    } catch (error) {
+        console.error(`Collider file error (${url}) - using the model's own tags:`, error);
+        return null;
+    }
+}
+
+// Default collider file path: the model's, with .glb swapped for .colliders.json
+export function getColliderFileUrl(modelUrl) {
+    return `${modelUrl.replace(/\.(glb|gltf)$/i, '')}.colliders.json`;
+}
+
+// camera/domElement: the viewer's; orbitControls pauses while the gizmo drags;
+// getModels() returns the roots whose meshes can be picked and tagged;
+// onOpen() puts the viewer in orbit mode; onTagsChanged() re-bakes the tagged models
+export function createColliderEditor({ scene, camera, domElement, collisionWorld, orbitControls, getModels, onOpen, onTagsChanged, fileName = 'model.colliders.json' }) {
+    let open = false;
+    let mode = 'translate';
+    let selection = null;          // { type: 'box', record } | { type: 'mesh', mesh }
+    let offsetY = 0;
+    let meshTags = {};
+    let debugWasVisible = false;
+    const records = [];            // { box, walkable, handle }
+    const originals = new WeakMap(); // mesh -> its own extras before tagging
+    const listeners = [];
+
+    const group = new THREE.Group();
+    group.name = 'ColliderEditor';
+    group.visible = false;
+    scene.add(group);
+
+    const handleGeometry = new THREE.BoxGeometry(1, 1, 1);
+    const meshHighlight = new THREE.BoxHelper(undefined, SELECTED_COLOR);
+    meshHighlight.visible = false;
+    scene.add(meshHighlight);
+
+    const transform = new TransformControls(camera, domElement);
+    transform.setSpace('world');
+    transform.enabled = false;
+    scene.add(transform.getHelper());
+
+    transform.addEventListener('dragging-changed', (e) => {
+        orbitControls.enabled = !e.value;
+    });
+    transform.addEventListener('objectChange', () => {
+        if (selection && selection.type === 'box') syncBoxFromHandle(selection.record);
+    });
+
+    // --------------------- Boxes ---------------------
+    function styleHandle(record) {
+        const selected = selection && selection.record === record;
+        record.handle.material.color.setHex(selected ? SELECTED_COLOR : (record.walkable ? BOX_COLOR : BLOCKING_BOX_COLOR));
+    }
+
+    function syncHandleFromBox(record) {
+        record.box.getCenter(record.handle.position);
+        record.box.getSize(record.handle.scale);
+        record.handle.updateMatrixWorld();
+    }
+
+    // Gizmo -> collider; scale stays positive and above MIN_BOX_SIZE
+    function syncBoxFromHandle(record) {
+        const { handle } = record;
+        handle.scale.set(
+            Math.max(Math.abs(handle.scale.x), MIN_BOX_SIZE),
+            Math.max(Math.abs(handle.scale.y), MIN_BOX_SIZE),
+            Math.max(Math.abs(handle.scale.z), MIN_BOX_SIZE)
+        );
+        record.box.setFromCenterAndSize(handle.position, handle.scale);
+        collisionWorld.updateBox(record.box);
+        notify();
+    }
+
+    function addBox(center, size = [DEFAULT_BOX_SIZE, DEFAULT_BOX_SIZE, DEFAULT_BOX_SIZE], walkable = true) {
+        const box = new THREE.Box3().setFromCenterAndSize(
+            _center.fromArray(Array.isArray(center) ? center : center.toArray()),
+            _size.fromArray(size)
+        );
+        collisionWorld.addBox(box, { walkable });
+
+        const handle = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({
+            color: BOX_COLOR,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        }));
+        const record = { box, walkable, handle };
+        handle.userData.colliderRecord = record;
+        group.add(handle);
+        records.push(record);
+        syncHandleFromBox(record);
+        styleHandle(record);
+        notify();
+        return record;
+    }
+
+    function removeBox(record) {
+        if (selection && selection.record === record) select(null);
+        collisionWorld.removeBox(record.box);
+        group.remove(record.handle);
+        record.handle.material.dispose();
+        records.splice(records.indexOf(record), 1);
+        notify();
+    }
+
+    function setBoxWalkable(walkable) {
+        if (!selection || selection.type !== 'box') return;
+        const { record } = selection;
+        record.walkable = walkable;
+        collisionWorld.updateBox(record.box, walkable);
+        styleHandle(record);
+        notify();
+    }
+
+    // --------------------- Mesh Tags ---------------------
+    // Writes `tag`'s collider/walkable extras onto `mesh`; 'auto' or an unknown tag restores the
+    // extras the mesh had before it was first tagged
+    function applyTag(mesh, tag) {
+        if (!originals.has(mesh)) {
+            originals.set(mesh, { collider: mesh.userData.collider, walkable: mesh.userData.walkable });
+        }
+        const values = MESH_TAGS[tag] || originals.get(mesh);
+        ['collider', 'walkable'].forEach((key) => {
+            if (values[key] === undefined) delete mesh.userData[key];
+            else mesh.userData[key] = values[key];
+        });
+    }
+
+    // Tags the meshes under `root` (restoring any that lost their tag); call before baking
+    function applyMeshTags(root) {
+        root.traverse((child) => {
+            if (child.isMesh && (meshTags[child.name] || originals.has(child))) applyTag(child, meshTags[child.name]);
+        });
+    }
+
+    function setMeshTag(name, tag) {
+        if (MESH_TAGS[tag]) meshTags[name] = tag;
+        else delete meshTags[name];
+        getModels().forEach((root) => root.traverse((child) => {
+            if (child.isMesh && child.name === name) applyTag(child, tag);
+        }));
+        onTagsChanged();
+        notify();
+    }
+
+    // --------------------- Selection ---------------------
+    function select(next) {
+        const previous = selection;
+        selection = next;
+        if (previous && previous.type === 'box') styleHandle(previous.record);
+
+        transform.detach();
+        meshHighlight.visible = false;
+        if (next && next.type === 'box') {
+            styleHandle(next.record);
+            transform.attach(next.record.handle);
+            transform.setMode(mode);
+        } else if (next && next.type === 'mesh') {
+            meshHighlight.setFromObject(next.mesh);
+            meshHighlight.visible = true;
+        }
+        notify();
+    }
+
+    function setMode(value) {
+        mode = value;
+        transform.setMode(mode);
+        notify();
+    }
+
+    function deleteSelected() {
+        if (selection && selection.type === 'box') removeBox(selection.record);
+    }
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    let down = null;
+
+    function pick(e) {
+        const rect = domElement.getBoundingClientRect();
+        pointer.set(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        raycaster.setFromCamera(pointer, camera);
+
+        const boxHit = raycaster.intersectObjects(records.map((record) => record.handle), false)[0];
+        if (boxHit) return { type: 'box', record: boxHit.object.userData.colliderRecord };
+
+        const meshHit = raycaster.intersectObjects(getModels(), true).find((hit) => hit.object.isMesh);
+        return meshHit ? { type: 'mesh', mesh: meshHit.object } : null;
+    }
+
+    domElement.addEventListener('pointerdown', (e) => {
+        // Presses on the gizmo belong to TransformControls
+        down = open && transform.axis === null ? { x: e.clientX, y: e.clientY } : null;
+    });
+
+    domElement.addEventListener('pointerup', (e) => {
+        if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_TOLERANCE) return;
+        down = null;
+        select(pick(e));
+    });
+
+    // --------------------- Vertical Shift ---------------------
+    function shiftAll(amount) {
+        collisionWorld.translate(amount);
+        offsetY += amount;
+        records.forEach(syncHandleFromBox);
+        if (selection && selection.type === 'mesh') meshHighlight.setFromObject(selection.mesh);
+        console.log(`Shifted colliders by ${amount} m (total ${offsetY.toFixed(2)} m)`);
+        notify();
+    }
+
+    // --------------------- File ---------------------
+    // Replaces the boxes and tags with `data` (from loadColliderFile or an imported file).
+    // The vertical shift is only recorded: the caller applies it to colliders as it bakes them.
+    function load(data) {
+        select(null);
+        [...records].forEach(removeBox);
+        offsetY = data ? data.offsetY : 0;
+        meshTags = data ? { ...data.meshes } : {};
+        if (data) data.boxes.forEach((box) => addBox(box.center, box.size, box.walkable));
+        notify();
+    }
+
+    // Reads a File from the import button; boxes and tags replace the current ones
+    function importFile(file) {
+        return file.text().then((text) => {
+            const data = normalizeColliderFile(JSON.parse(text), file.name);
+            // Shift the baked colliders first; the file's boxes are already in place
+            if (data.offsetY !== offsetY) shiftAll(data.offsetY - offsetY);
+            load(data);
+            getModels().forEach(applyMeshTags);
+            onTagsChanged();
+            console.log(`Imported ${file.name}`);
+        });
+    }
+
+    function toJSON() {
+        const round = (v) => v.toArray().map((n) => Number(n.toFixed(3)));
+        return {
+            version: COLLIDER_FILE_VERSION,
+            offsetY: Number(offsetY.toFixed(3)),
+            boxes: records.map((record) => ({
+                center: round(record.box.getCenter(_center)),
+                size: round(record.box.getSize(_size)),
+                walkable: record.walkable
+            })),
+            meshes: { ...meshTags }
+        };
+    }
+
+    function exportFile() {
+        const blob = new Blob([JSON.stringify(toJSON(), null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        console.log(`Exported ${fileName} - save it next to the model to load it on startup`);
+    }
+
+    // --------------------- Open / Close ---------------------
+    function setOpen(value) {
+        if (value === open) return;
+        open = value;
+        if (open) {
+            onOpen();
+            debugWasVisible = collisionWorld.debugGroup.visible;
+            collisionWorld.debugGroup.visible = true;
+        } else {
+            select(null);
+            collisionWorld.debugGroup.visible = debugWasVisible;
+            orbitControls.enabled = true;
+        }
+        group.visible = open;
+        transform.enabled = open;
+        console.log(`Collider editor ${open ? 'open' : 'closed'}`);
+        notify();
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        let selected = null;
+        if (selection && selection.type === 'box') {
+            const { record } = selection;
+            const size = record.box.getSize(_size).toArray().map((n) => n.toFixed(2)).join(' × ');
+            selected = { type: 'box', label: `Box ${records.indexOf(record) + 1} (${size} m)`, walkable: record.walkable };
+        } else if (selection && selection.type === 'mesh') {
+            const name = selection.mesh.name;
+            selected = { type: 'mesh', label: name || '(unnamed mesh)', tag: meshTags[name] || 'auto', named: !!name };
+        }
+        return { open, mode, selected, boxes: records.length, tags: Object.keys(meshTags).length, offsetY };
+    }
+
+    return {
+        open: () => setOpen(true),
+        close: () => setOpen(false),
+        toggle: () => setOpen(!open),
+        isOpen: () => open,
+        addBox,
+        setBoxWalkable,
+        setMeshTag,
+        applyMeshTags,
+        setMode,
+        deleteSelected,
+        shiftAll,
+        getOffsetY: () => offsetY,
+        load,
+        importFile,
+        toJSON,
+        exportFile,
+        subscribe,
+        getState
+    };
+}
+
+// Wires #colliderEditorPanel in index.html; `getTarget()` is where Add Box drops a box
+export function bindColliderEditorPanel(editor, getTarget) {
+    const panel = document.getElementById('colliderEditorPanel');
+    if (!panel) return;
+    const moveBtn = document.getElementById('editorMoveBtn');
+    const resizeBtn = document.getElementById('editorResizeBtn');
+    const deleteBtn = document.getElementById('editorDeleteBtn');
+    const selectionLabel = document.getElementById('editorSelection');
+    const boxOptions = document.getElementById('editorBoxOptions');
+    const boxWalkable = document.getElementById('editorBoxWalkable');
+    const meshOptions = document.getElementById('editorMeshOptions');
+    const meshTag = document.getElementById('editorMeshTag');
+    const status = document.getElementById('editorStatus');
+    const importInput = document.getElementById('editorImportInput');
+
+    document.getElementById('editorCloseBtn').addEventListener('click', () => editor.close());
+    document.getElementById('editorAddBoxBtn').addEventListener('click', () => {
+        const record = editor.addBox(getTarget().clone());
+        console.log(`Added collider box at ${record.box.getCenter(new THREE.Vector3()).toArray().map((n) => n.toFixed(2)).join(', ')}`);
+    });
+    moveBtn.addEventListener('click', () => editor.setMode('translate'));
+    resizeBtn.addEventListener('click', () => editor.setMode('scale'));
+    deleteBtn.addEventListener('click', () => editor.deleteSelected());
+    boxWalkable.addEventListener('change', () => editor.setBoxWalkable(boxWalkable.checked));
+    meshTag.addEventListener('change', () => editor.setMeshTag(selectionLabel.dataset.mesh, meshTag.value));
+    document.getElementById('editorExportBtn').addEventListener('click', () => editor.exportFile());
+    document.getElementById('editorImportBtn').addEventListener('click', () => importInput.click());
+    importInput.addEventListener('change', () => {
+        const file = importInput.files[0];
+        importInput.value = '';
+        if (!file) return;
+        editor.importFile(file).catch((error) => {
+            console.error('Collider file import failed:', error);
+            status.textContent = `Import failed: ${error.message}`;
+        });
+    });
+
+    editor.subscribe(({ open, mode, selected, boxes, tags, offsetY }) => {
+        panel.classList.toggle('show', open);
+        moveBtn.classList.toggle('active', mode === 'translate');
+        resizeBtn.classList.toggle('active', mode === 'scale');
+        deleteBtn.disabled = !selected || selected.type !== 'box';
+
+        selectionLabel.textContent = selected ? selected.label : 'Click a box or a model mesh';
+        selectionLabel.dataset.mesh = selected && selected.type === 'mesh' ? selected.label : '';
+        boxOptions.style.display = selected && selected.type === 'box' ? 'block' : 'none';
+        meshOptions.style.display = selected && selected.type === 'mesh' ? 'block' : 'none';
+        if (selected && selected.type === 'box') boxWalkable.checked = selected.walkable;
+        if (selected && selected.type === 'mesh') {
+            meshTag.value = selected.tag;
+            // Tags are saved by name, so unnamed meshes cannot keep one
+            meshTag.disabled = !selected.named;
+        }
+        status.textContent = `${boxes} boxes · ${tags} tagged meshes · shift ${offsetY.toFixed(2)} m`;
+    });
+}
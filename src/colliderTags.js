@@ -0,0 +1,94 @@
+import * as THREE from 'three';
+
+// --------------------- Collider Tags ---------------------
+// Collision behaviour comes from glTF node extras (Blender custom properties), which
+// GLTFLoader exposes as `object.userData`. Tags on a parent node (e.g. a building empty)
+// apply to every mesh below it; the nearest node wins per key.
+//
+//   collider: "mesh"    solid triangles (default when any tag is present)
+//             "box"     solid axis-aligned bounding box of the mesh (cheap props)
+//             "proxy"   solid triangles, mesh hidden (invisible collision stand-ins)
+//             "none"    never collides
+//   walkable: false     solid, but cannot be stood on (railings, sloped glass)
+//   trigger:  "<id>"    non-solid volume that fires enter/exit events (true = mesh name)
+//   ignore:   true      same as collider: "none"
+//
+// Meshes with no tags at all are solid and walkable, like collider: "mesh".
+
+export const COLLIDER_TYPES = ['mesh', 'box', 'proxy', 'trigger', 'none'];
+
+const TAG_KEYS = ['collider', 'walkable', 'trigger', 'ignore'];
+const FLAG_WORDS = ['true', 'false', 'yes', 'no', '1', '0'];
+
+// Blender exports booleans as true/false, 1/0 or strings depending on the property type
+function parseFlag(value) {
+    if (typeof value === 'string') return ['true', 'yes', '1'].includes(value.toLowerCase());
+    return Boolean(value);
+}
+
+function readTags(object) {
+    const tags = {};
+    for (let node = object; node; node = node.parent) {
+        TAG_KEYS.forEach((key) => {
+            if (tags[key] === undefined && node.userData && node.userData[key] !== undefined) {
+                tags[key] = node.userData[key];
+            }
+        });
+    }
+    return tags;
+}
+
+// The pre-extras behaviour: substring matches on the mesh name, then any mesh over 2 units
+function classifyByName(mesh) {
+    const name = mesh.name || '';
+    const lower = name.toLowerCase();
+
+    if (name.includes('COLLIDER')) {
+        return { type: 'proxy', walkable: true, source: 'name:COLLIDER' };
+    }
+    if (lower.includes('roof') || lower.includes('ceiling') || lower.includes('top')) {
+        return { type: 'mesh', walkable: true, source: 'name:roof' };
+    }
+    if (name.includes('building') || name.includes('wall') || name.includes('floor') ||
+        name.includes('structure') || lower.includes('collide')) {
+        return { type: 'mesh', walkable: true, source: 'name:building' };
+    }
+
+    const size = new THREE.Box3().setFromObject(mesh).getSize(new THREE.Vector3());
+    if (size.x > 2 || size.y > 2 || size.z > 2) {
+        return { type: 'mesh', walkable: true, source: 'name:large' };
+    }
+    return { type: 'none', walkable: false, source: 'name:none' };
+}
+
+// Returns { type, walkable, trigger, source } for one mesh
+export function classifyMesh(mesh, { useNameFallback = false } = {}) {
+    const tags = readTags(mesh);
+
+    if (tags.ignore !== undefined && parseFlag(tags.ignore)) {
+        return { type: 'none', walkable: false, trigger: null, source: 'extras' };
+    }
+
+    if (tags.trigger !== undefined) {
+        // A string is the trigger id unless it spells a flag ("false", "no", "0" turn it off)
+        const isId = typeof tags.trigger === 'string' && !FLAG_WORDS.includes(tags.trigger.toLowerCase());
+        if (isId) return { type: 'trigger', walkable: false, trigger: tags.trigger, source: 'extras' };
+        if (parseFlag(tags.trigger)) return { type: 'trigger', walkable: false, trigger: mesh.name, source: 'extras' };
+    }
+
+    if (tags.collider !== undefined || tags.walkable !== undefined) {
+        let type = tags.collider !== undefined ? String(tags.collider).toLowerCase() : 'mesh';
+        if (!COLLIDER_TYPES.includes(type) || type === 'trigger') {
+            console.warn(`Unknown collider type "${tags.collider}" on ${mesh.name}, using "mesh"`);
+            type = 'mesh';
+        }
+        const walkable = tags.walkable === undefined ? type !== 'none' : parseFlag(tags.walkable);
+        return { type, walkable, trigger: null, source: 'extras' };
+    }
+
+    // Untagged meshes are solid; ?nameColliders opts into the old name heuristics instead
+    if (useNameFallback) {
+        return { ...classifyByName(mesh), trigger: null };
+    }
+    return { type: 'mesh', walkable: true, trigger: null, source: 'untagged' };
+}
@@ -0,0 +1,441 @@
+import * as THREE from 'three';
+import { MeshBVH } from 'three-mesh-bvh';
+
+// --------------------- Collision World ---------------------
+// Triangle-accurate collision for the FPS walker. Every registered group of meshes is
+// baked into one world-space geometry with its own BVH, and manual boxes get a tiny BVH
+// each, so the player capsule only ever touches the triangles near it.
+
+const _segment = new THREE.Line3();
+const _localSegment = new THREE.Line3();
+const _inverse = new THREE.Matrix4();
+const _localBox = new THREE.Box3();
+const _triPoint = new THREE.Vector3();
+const _capsulePoint = new THREE.Vector3();
+const _normal = new THREE.Vector3();
+const _step = new THREE.Vector3();
+const _before = new THREE.Vector3();
+const _size = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _vertex = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+const _ray = new THREE.Ray();
+const _localRay = new THREE.Ray();
+const _down = new THREE.Vector3(0, -1, 0);
+const _body = { radius: 0, height: 0, eyeHeight: 0 };
+const _hit = { point: new THREE.Vector3(), normal: new THREE.Vector3(), distance: 0, collider: null, walkable: true };
+const _ground = { point: new THREE.Vector3(), normal: new THREE.Vector3(), distance: 0, collider: null, walkable: true };
+
+// Ground probe sample offsets around the capsule axis, as fractions of its radius
+const GROUND_SAMPLES = [[0, 0], [0.7, 0], [-0.7, 0], [0, 0.7], [0, -0.7]];
+
+// Contacts whose normal points up at least this much count as ground (unless the walker
+// says otherwise), down at least this much as ceiling
+const GROUND_NORMAL_Y = 0.7;
+const CEILING_NORMAL_Y = -0.7;
+
+// Overlap tests ignore contacts this shallow, so a capsule resting against a wall is not "inside" it
+const CONTACT_SKIN = 0.02;
+
+export function createMoveResult() {
+    return {
+        grounded: false,
+        hitCeiling: false,
+        hitWall: false,
+        groundNormal: new THREE.Vector3(0, 1, 0),
+        collider: null,
+        stepDelta: 0
+    };
+}
+
+// Minimum contact normal Y a walker can stand on, from its max slope in degrees
+export function getWalkableNormalY(maxSlopeAngle) {
+    return Math.cos(THREE.MathUtils.degToRad(maxSlopeAngle));
+}
+
+// Capsule segment for a player whose camera (eye) sits at `position`
+export function getCapsuleSegment(position, capsule, target = new THREE.Line3()) {
+    const feet = position.y - capsule.eyeHeight;
+    target.start.set(position.x, feet + capsule.radius, position.z);
+    target.end.set(position.x, feet + capsule.height - capsule.radius, position.z);
+    return target;
+}
+
+// Flattens the triangles of `meshes` into one non-indexed, world-space position buffer.
+// Indexed and non-indexed geometry can be mixed freely, and only positions are kept.
+function bakeWorldGeometry(meshes) {
+    let vertexCount = 0;
+    meshes.forEach((mesh) => {
+        const geometry = mesh.geometry;
+        vertexCount += geometry.index ? geometry.index.count : geometry.attributes.position.count;
+    });
+
+    const positions = new Float32Array(vertexCount * 3);
+    let offset = 0;
+    meshes.forEach((mesh) => {
+        const geometry = mesh.geometry;
+        const position = geometry.attributes.position;
+        const index = geometry.index;
+        const count = index ? index.count : position.count;
+
+        for (let i = 0; i < count; i++) {
+            _vertex.fromBufferAttribute(position, index ? index.getX(i) : i);
+            _vertex.applyMatrix4(mesh.matrixWorld);
+            positions[offset++] = _vertex.x;
+            positions[offset++] = _vertex.y;
+            positions[offset++] = _vertex.z;
+        }
+    });
+
+    const baked = new THREE.BufferGeometry();
+    baked.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return baked;
+}
+
+export function createCollisionWorld() {
+    const entries = new Map();
+    const boxes = [];
+    const boxKeys = new Map();
+    const boxWalkable = new Map();
+    let nextBoxId = 0;
+
+    const debugGroup = new THREE.Group();
+    debugGroup.name = 'CollisionDebug';
+    debugGroup.visible = false;
+
+    const meshDebugMaterial = new THREE.MeshBasicMaterial({
+        color: 0xff0000,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.3
+    });
+    const boxDebugMaterial = new THREE.MeshBasicMaterial({
+        color: 0x00ff00,
+        wireframe: true,
+        transparent: true,
+        opacity: 0.5
+    });
+
+    function addEntry(key, geometry, material, walkable = true) {
+        geometry.boundsTree = new MeshBVH(geometry);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.name = `Collider:${key}`;
+        debugGroup.add(mesh);
+        mesh.updateMatrixWorld(true);
+
+        const entry = { key, mesh, walkable, enabled: true };
+        entries.set(key, entry);
+        return entry;
+    }
+
+    // Bake `meshes` (in their current world pose) into one collider registered under `key`.
+    // Non-walkable colliders still block, but the player can never stand on them.
+    function addMeshes(key, meshes, { walkable = true } = {}) {
+        remove(key);
+        if (meshes.length === 0) return null;
+
+        meshes.forEach((mesh) => mesh.updateMatrixWorld(true));
+        return addEntry(key, bakeWorldGeometry(meshes), meshDebugMaterial, walkable);
+    }
+
+    function remove(key) {
+        const entry = entries.get(key);
+        if (!entry) return false;
+
+        entries.delete(key);
+        debugGroup.remove(entry.mesh);
+        entry.mesh.geometry.boundsTree = null;
+        entry.mesh.geometry.dispose();
+        return true;
+    }
+
+    // Disabled colliders stay baked but are skipped by every query (e.g. a coarse chunk
+    // while its detailed version is streamed in)
+    function setEnabled(key, enabled) {
+        const entry = entries.get(key);
+        if (!entry) return false;
+        entry.enabled = enabled;
+        entry.mesh.visible = enabled;
+        return true;
+    }
+
+    function buildBoxEntry(key, box) {
+        box.getSize(_size);
+        const geometry = new THREE.BoxGeometry(_size.x, _size.y, _size.z);
+        const entry = addEntry(key, geometry, boxDebugMaterial, boxWalkable.get(box));
+        entry.mesh.position.copy(box.getCenter(_center));
+        entry.mesh.updateMatrixWorld(true);
+        return entry;
+    }
+
+    function addBox(box, { walkable = true } = {}) {
+        const key = `box:${nextBoxId++}`;
+        boxes.push(box);
+        boxKeys.set(box, key);
+        boxWalkable.set(box, walkable);
+        buildBoxEntry(key, box);
+        return box;
+    }
+
+    // Call after mutating a box returned by addBox(); `walkable` changes whether it can be stood on
+    function updateBox(box, walkable = boxWalkable.get(box)) {
+        const key = boxKeys.get(box);
+        if (!key) return;
+        boxWalkable.set(box, walkable);
+        remove(key);
+        buildBoxEntry(key, box);
+    }
+
+    function removeBox(box) {
+        const index = boxes.indexOf(box);
+        if (index === -1) return false;
+        boxes.splice(index, 1);
+        remove(boxKeys.get(box));
+        boxKeys.delete(box);
+        boxWalkable.delete(box);
+        return true;
+    }
+
+    function clearBoxes() {
+        [...boxes].forEach(removeBox);
+    }
+
+    // Shift colliders vertically (alignment fix for models exported off the ground). With
+    // `keys` only those baked colliders move, e.g. ones baked after the shift was set.
+    function translate(yOffset, keys = null) {
+        entries.forEach((entry) => {
+            if (keys && !keys.includes(entry.key)) return;
+            entry.mesh.position.y += yOffset;
+            entry.mesh.updateMatrixWorld(true);
+        });
+        if (keys) return;
+        boxes.forEach((box) => {
+            box.min.y += yOffset;
+            box.max.y += yOffset;
+        });
+    }
+
+    // Visits every triangle within `radius` of `segment` (world space). The visitor gets the
+    // contact normal, penetration depth and the local-space segment it may push.
+    function forEachContact(segment, radius, visit) {
+        for (const entry of entries.values()) {
+            if (!entry.enabled) continue;
+            const { mesh } = entry;
+            _inverse.copy(mesh.matrixWorld).invert();
+            _localSegment.copy(segment).applyMatrix4(_inverse);
+
+            _localBox.makeEmpty();
+            _localBox.expandByPoint(_localSegment.start);
+            _localBox.expandByPoint(_localSegment.end);
+            _localBox.min.addScalar(-radius);
+            _localBox.max.addScalar(radius);
+
+            const stop = mesh.geometry.boundsTree.shapecast({
+                intersectsBounds: (bounds) => bounds.intersectsBox(_localBox),
+                intersectsTriangle: (tri) => {
+                    const distance = tri.closestPointToSegment(_localSegment, _triPoint, _capsulePoint);
+                    if (distance >= radius) return false;
+
+                    if (distance > 1e-6) {
+                        _normal.subVectors(_capsulePoint, _triPoint).normalize();
+                    } else {
+                        // Segment passes through the triangle: fall back to the face normal
+                        tri.getNormal(_normal);
+                    }
+                    return visit(entry, _normal, radius - distance, _localSegment) === true;
+                }
+            });
+
+            segment.copy(_localSegment).applyMatrix4(mesh.matrixWorld);
+            if (stop) return true;
+        }
+        return false;
+    }
+
+    function isWalkableContact(entry, normal, walkableNormalY) {
+        return entry.walkable && normal.y >= walkableNormalY;
+    }
+
+    function recordContact(result, entry, normal, walkableNormalY) {
+        if (isWalkableContact(entry, normal, walkableNormalY)) {
+            if (!result.grounded || normal.y > result.groundNormal.y) {
+                result.groundNormal.copy(normal);
+                result.collider = entry.key;
+            }
+            result.grounded = true;
+        } else if (normal.y <= CEILING_NORMAL_Y) {
+            result.hitCeiling = true;
+        } else {
+            result.hitWall = true;
+        }
+    }
+
+    // Moves a player capsule by `displacement`, pushing it out of every triangle it touches.
+    // Walls push along the contact normal, which keeps the tangential part of the motion and
+    // gives wall sliding for free. Walkable ground (normal Y >= `walkableNormalY`) pushes
+    // straight up instead, so the capsule neither slides down ramps nor gets shoved back
+    // when walking up them. `position` (the eye) is updated in place.
+    function moveCapsule(position, displacement, capsule, result = createMoveResult(), walkableNormalY = GROUND_NORMAL_Y) {
+        result.grounded = false;
+        result.hitCeiling = false;
+        result.hitWall = false;
+        result.groundNormal.set(0, 1, 0);
+        result.collider = null;
+        result.stepDelta = 0;
+
+        // Sub-step so fast movement cannot tunnel through thin walls
+        const steps = Math.max(1, Math.ceil(displacement.length() / (capsule.radius * 0.5)));
+        _step.copy(displacement).divideScalar(steps);
+
+        for (let i = 0; i < steps; i++) {
+            position.add(_step);
+            getCapsuleSegment(position, capsule, _segment);
+            _before.copy(_segment.start);
+
+            forEachContact(_segment, capsule.radius, (entry, normal, depth, localSegment) => {
+                if (isWalkableContact(entry, normal, walkableNormalY)) {
+                    _offset.set(0, depth / normal.y, 0);
+                } else {
+                    _offset.copy(normal).multiplyScalar(depth);
+                }
+                localSegment.start.add(_offset);
+                localSegment.end.add(_offset);
+                recordContact(result, entry, normal, walkableNormalY);
+            });
+
+            position.add(_segment.start.sub(_before));
+        }
+
+        return result;
+    }
+
+    // Closest hit along a world-space ray, or null. The normal faces back along the ray.
+    function raycast(origin, direction, far = Infinity, target = null) {
+        _ray.set(origin, direction);
+        let best = null;
+
+        for (const entry of entries.values()) {
+            if (!entry.enabled) continue;
+            const { mesh } = entry;
+            _inverse.copy(mesh.matrixWorld).invert();
+            _localRay.copy(_ray).applyMatrix4(_inverse);
+
+            const hit = mesh.geometry.boundsTree.raycastFirst(_localRay, THREE.DoubleSide, 0, far);
+            if (!hit || (best && hit.distance >= best.distance)) continue;
+
+            best = target || { point: new THREE.Vector3(), normal: new THREE.Vector3(), distance: 0, collider: null, walkable: true };
+            best.point.copy(hit.point).applyMatrix4(mesh.matrixWorld);
+            best.normal.copy(hit.face.normal);
+            if (best.normal.dot(direction) > 0) best.normal.negate();
+            best.distance = hit.distance;
+            best.collider = entry.key;
+            best.walkable = entry.walkable;
+        }
+
+        return best;
+    }
+
+    // Highest walkable surface under a circle of `radius` around (x, z), searching down
+    // from `topY` to `bottomY`. Several samples let a walker stand on a step edge.
+    function findGround(x, z, radius, topY, bottomY, walkableNormalY, target = _ground) {
+        let found = false;
+        let groundY = -Infinity;
+
+        for (const [sx, sz] of GROUND_SAMPLES) {
+            _offset.set(x + sx * radius, topY, z + sz * radius);
+            const hit = raycast(_offset, _down, topY - bottomY, _hit);
+            if (!hit || !hit.walkable || hit.normal.y < walkableNormalY || hit.point.y <= groundY) continue;
+
+            found = true;
+            groundY = hit.point.y;
+            target.point.copy(hit.point);
+            target.normal.copy(hit.normal);
+            target.distance = hit.distance;
+            target.collider = hit.collider;
+            target.walkable = true;
+        }
+
+        return found ? target : null;
+    }
+
+    // moveCapsule() for a walking player. `walker` holds { maxStepHeight, maxSlopeAngle }.
+    // The solid capsule floats maxStepHeight above the feet and a ground probe bridges the
+    // gap, so anything lower than a step (stairs, kerbs, ramp seams) is climbed instead of
+    // blocking. `result` doubles as the previous frame's state: a grounded walker snaps down
+    // up to a step as well, following stairs and ramps downhill instead of falling off them.
+    // `result.stepDelta` reports the height snapped this way so the camera can ease over it.
+    function moveWalker(position, displacement, capsule, walker, result = createMoveResult()) {
+        const wasGrounded = result.grounded;
+        const walkableNormalY = getWalkableNormalY(walker.maxSlopeAngle);
+        const stepHeight = walker.maxStepHeight;
+
+        _body.radius = capsule.radius;
+        _body.height = capsule.height - stepHeight;
+        _body.eyeHeight = capsule.eyeHeight - stepHeight;
+        moveCapsule(position, displacement, _body, result, walkableNormalY);
+
+        // Rising (jumping) walkers never stick to the ground
+        if (displacement.y > 0) {
+            result.grounded = false;
+            return result;
+        }
+
+        // Probe from where the body's underside started this frame down past the feet
+        const feet = position.y - capsule.eyeHeight;
+        const topY = feet + stepHeight - displacement.y;
+        const bottomY = feet - (wasGrounded ? stepHeight : CONTACT_SKIN);
+        const ground = findGround(position.x, position.z, capsule.radius, topY, bottomY, walkableNormalY);
+
+        if (ground) {
+            result.stepDelta = ground.point.y - feet;
+            position.y += result.stepDelta;
+            result.grounded = true;
+            result.groundNormal.copy(ground.normal);
+            result.collider = ground.collider;
+        }
+
+        return result;
+    }
+
+    // Whether the capsule at `position`, raised by `lift`, overlaps anything
+    function intersectsCapsule(position, capsule, lift = 0) {
+        getCapsuleSegment(position, capsule, _segment);
+        _segment.start.y += lift;
+        _segment.end.y += lift;
+
+        let hitKey = null;
+        const hit = forEachContact(_segment, capsule.radius - CONTACT_SKIN, (entry) => {
+            hitKey = entry.key;
+            return true;
+        });
+        return { collision: hit, collider: hitKey };
+    }
+
+    function getStats() {
+        let triangles = 0;
+        entries.forEach((entry) => {
+            const geometry = entry.mesh.geometry;
+            triangles += (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3;
+        });
+        return { colliders: entries.size, boxes: boxes.length, triangles };
+    }
+
+    return {
+        boxes,
+        debugGroup,
+        addMeshes,
+        remove,
+        setEnabled,
+        addBox,
+        updateBox,
+        removeBox,
+        clearBoxes,
+        translate,
+        moveCapsule,
+        moveWalker,
+        raycast,
+        findGround,
+        intersectsCapsule,
+        getStats
+    };
+}
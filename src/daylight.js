@@ -0,0 +1,366 @@
+import * as THREE from 'three';
+import { Sky } from 'three/examples/jsm/objects/Sky.js';
+
+// --------------------- Time of Day & Weather ---------------------
+// Replaces the static HDRI with a procedural sky, a sun that casts shadows and building
+// lights that switch on at night. Modes: 'static' (the scene's HDRI, untouched), 'time'
+// (a chosen hour) and 'clock' (the visitor's local time). Set from the panel or the URL:
+//   ?time=18.5  ?time=18:30  ?time=now      ?weather=clear|cloudy|fog
+// Night lights are meshes (or glTF lights) whose glTF extras, or a parent's, set
+// `nightLight`: a colour string for the glow, or true for warm white.
+
+const SUNRISE = 6;
+const SUNSET = 18;
+const MAX_SUN_ELEVATION = 70;   // Degrees, at noon
+const SHADOW_EXTENT = 80;       // Half-size (m) of the shadowed area around the focus
+const SUN_DISTANCE = 200;
+const ENV_REFRESH = 0.25;       // Minimum seconds between sky environment rebuilds
+const ENV_SUN_STEP = 0.5;       // Sun movement (degrees) worth a rebuild
+
+export const WEATHER = {
+    clear: { label: 'Clear', turbidity: 2, rayleigh: 1, sun: 3, fog: 0 },
+    cloudy: { label: 'Cloudy', turbidity: 10, rayleigh: 3, sun: 1, fog: 0.002 },
+    fog: { label: 'Fog', turbidity: 20, rayleigh: 4, sun: 0.4, fog: 0.015 }
+};
+
+const WARM_SUN = new THREE.Color(0xffa060);
+const NOON_SUN = new THREE.Color(0xfff4e0);
+const DAY_FOG = new THREE.Color(0xc8d2dc);
+const NIGHT_FOG = new THREE.Color(0x0b0f1a);
+const DEFAULT_GLOW = new THREE.Color(0xffd9a0);
+
+// Hour (0-24) from "18.5", "18:30", or 'now' for the real clock; null when invalid
+export function parseTimeParam(value) {
+    if (!value) return null;
+    if (value === 'now') return 'now';
+    const match = /^(\d{1,2})(?::(\d{2}))?$/.exec(value) || /^(\d{1,2}\.\d+)$/.exec(value);
+    if (!match || Number(match[2] || 0) >= 60) return null;
+    const hour = match[2] !== undefined ? Number(match[1]) + Number(match[2]) / 60 : Number(match[1]);
+    return hour >= 0 && hour <= 24 ? hour : null;
+}
+
+export function formatHour(hour) {
+    const h = Math.floor(hour) % 24;
+    const m = Math.floor((hour % 1) * 60);
+    return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+function currentClockHour() {
+    const now = new Date();
+    return now.getHours() + now.getMinutes() / 60 + now.getSeconds() / 3600;
+}
+
+export function createDaylight({ scene, renderer, camera, getFocus, onDisable }) {
+    let mode = 'static';
+    let hour = 12;
+    let weather = 'clear';
+    let envSize = 256;
+    const listeners = [];
+
+    // Sky in the scene, plus a twin sharing its material for environment captures
+    const sky = new Sky();
+    sky.name = 'Sky';
+    sky.visible = false;
+    scene.add(sky);
+
+    const envScene = new THREE.Scene();
+    const envSky = new Sky();
+    envSky.material = sky.material;
+    envSky.scale.setScalar(10);
+    envScene.add(envSky);
+
+    const pmremGenerator = new THREE.PMREMGenerator(renderer);
+    let envTarget = null;
+    let envTimer = ENV_REFRESH;
+    let envSunElevation = null;
+    let envDirty = true;
+
+    const sun = new THREE.DirectionalLight(0xffffff, 0);
+    sun.name = 'Sun';
+    sun.castShadow = true;
+    sun.shadow.camera.left = -SHADOW_EXTENT;
+    sun.shadow.camera.right = SHADOW_EXTENT;
+    sun.shadow.camera.top = SHADOW_EXTENT;
+    sun.shadow.camera.bottom = -SHADOW_EXTENT;
+    sun.shadow.camera.near = 1;
+    sun.shadow.camera.far = SUN_DISTANCE * 2;
+    sun.shadow.bias = -0.0005;
+    sun.shadow.normalBias = 0.05;
+    sun.visible = false;
+    scene.add(sun, sun.target);
+
+    // Moonlight / skylight so nights are dark but readable
+    const ambient = new THREE.HemisphereLight(0x8fb3ff, 0x202030, 0);
+    ambient.visible = false;
+    scene.add(ambient);
+
+    const fog = new THREE.FogExp2(DAY_FOG.getHex(), 0);
+    const nightLights = [];   // { root, light, intensity } or { root, material, emissive, emissiveIntensity, glow }
+    const models = new Set();
+
+    const sunDirection = new THREE.Vector3();
+    let sunElevation = 0;
+
+    // --------------------- Models ---------------------
+    function findNightLight(node) {
+        for (let current = node; current; current = current.parent) {
+            const value = current.userData && current.userData.nightLight;
+            if (value) return value;
+        }
+        return null;
+    }
+
+    // Meshes cast and receive sun shadows; tagged materials and lights become night lights
+    function addModel(root) {
+        if (models.has(root)) return;
+        models.add(root);
+
+        root.traverse((node) => {
+            if (node.isMesh) {
+                node.castShadow = true;
+                node.receiveShadow = true;
+            }
+            const tag = findNightLight(node);
+            if (!tag) return;
+
+            if (node.isLight) {
+                nightLights.push({ root, light: node, intensity: node.intensity });
+            } else if (node.isMesh) {
+                const glow = typeof tag === 'string' ? new THREE.Color(tag) : DEFAULT_GLOW;
+                (Array.isArray(node.material) ? node.material : [node.material]).forEach((material) => {
+                    if (!material.emissive || nightLights.some((entry) => entry.material === material)) return;
+                    nightLights.push({
+                        root,
+                        material,
+                        emissive: material.emissive.clone(),
+                        emissiveIntensity: material.emissiveIntensity,
+                        glow
+                    });
+                });
+            }
+        });
+        applyNightLights();
+    }
+
+    function removeModel(root) {
+        models.delete(root);
+        for (let i = nightLights.length - 1; i >= 0; i--) {
+            if (nightLights[i].root === root) nightLights.splice(i, 1);
+        }
+    }
+
+    // --------------------- Lighting ---------------------
+    function getHour() {
+        return mode === 'clock' ? currentClockHour() : hour;
+    }
+
+    // 0 at night, 1 in full daylight, easing through dusk and dawn
+    function getDaylightFactor() {
+        return THREE.MathUtils.smoothstep(Math.sin(THREE.MathUtils.degToRad(sunElevation)), -0.1, 0.15);
+    }
+
+    function updateSun() {
+        const h = getHour();
+        // Sun climbs from the east (+X) at sunrise, peaks south (+Z) at noon, sets in the west
+        const dayProgress = (h - SUNRISE) / (SUNSET - SUNRISE);
+        sunElevation = Math.sin(dayProgress * Math.PI) * MAX_SUN_ELEVATION;
+        if (dayProgress < 0 || dayProgress > 1) {
+            // Below the horizon overnight, lowest at midnight
+            const nightProgress = ((h - SUNSET + 24) % 24) / (24 - (SUNSET - SUNRISE));
+            sunElevation = -Math.sin(nightProgress * Math.PI) * 30;
+        }
+        const azimuth = Math.PI * THREE.MathUtils.clamp(dayProgress, 0, 1);
+        const elevation = THREE.MathUtils.degToRad(sunElevation);
+        sunDirection.set(Math.cos(azimuth) * Math.cos(elevation), Math.sin(elevation), Math.sin(azimuth) * Math.cos(elevation));
+    }
+
+    function applyNightLights() {
+        const night = mode === 'static' ? 0 : 1 - getDaylightFactor();
+        nightLights.forEach((entry) => {
+            if (entry.light) {
+                // The static HDRI keeps lights as authored
+                entry.light.intensity = mode === 'static' ? entry.intensity : entry.intensity * night;
+                entry.light.visible = mode === 'static' || night > 0.01;
+            } else {
+                entry.material.emissive.copy(entry.emissive).lerp(entry.glow, night);
+                entry.material.emissiveIntensity = THREE.MathUtils.lerp(entry.emissiveIntensity, Math.max(entry.emissiveIntensity, 2), night);
+            }
+        });
+    }
+
+    function applyLighting() {
+        const preset = WEATHER[weather];
+        const day = getDaylightFactor();
+
+        const uniforms = sky.material.uniforms;
+        uniforms.sunPosition.value.copy(sunDirection);
+        uniforms.turbidity.value = preset.turbidity;
+        uniforms.rayleigh.value = preset.rayleigh;
+        uniforms.mieCoefficient.value = 0.005;
+        uniforms.mieDirectionalG.value = 0.8;
+
+        const lowSun = THREE.MathUtils.clamp(sunElevation / 30, 0, 1);
+        sun.color.copy(WARM_SUN).lerp(NOON_SUN, lowSun);
+        sun.intensity = preset.sun * day;
+        sun.visible = sunElevation > -2;
+
+        ambient.intensity = THREE.MathUtils.lerp(0.35, 0.15, day);
+        scene.environmentIntensity = THREE.MathUtils.lerp(0.08, 1, day);
+
+        fog.density = preset.fog;
+        fog.color.copy(NIGHT_FOG).lerp(DAY_FOG, day);
+        scene.fog = preset.fog > 0 ? fog : null;
+
+        applyNightLights();
+    }
+
+    function rebuildEnvironment() {
+        const target = pmremGenerator.fromScene(envScene, 0, 0.1, 100, { size: envSize });
+        if (envTarget) envTarget.dispose();
+        envTarget = target;
+        scene.environment = envTarget.texture;
+        envSunElevation = sunElevation;
+        envDirty = false;
+    }
+
+    function enable() {
+        sky.visible = true;
+        sun.visible = true;
+        ambient.visible = true;
+        scene.background = null;
+        envDirty = true;
+        envTimer = ENV_REFRESH;
+    }
+
+    function disable() {
+        sky.visible = false;
+        sun.visible = false;
+        ambient.visible = false;
+        scene.fog = null;
+        scene.environmentIntensity = 1;
+        applyNightLights();
+        if (envTarget) {
+            envTarget.dispose();
+            envTarget = null;
+        }
+        if (onDisable) onDisable();
+    }
+
+    // --------------------- Controls ---------------------
+    function setMode(value) {
+        if (!['static', 'time', 'clock'].includes(value) || value === mode) return;
+        const wasStatic = mode === 'static';
+        mode = value;
+        if (mode === 'static') disable();
+        else if (wasStatic) enable();
+        refresh();
+    }
+
+    function setTime(value) {
+        hour = THREE.MathUtils.clamp(value, 0, 24);
+        if (mode !== 'time') setMode('time');
+        else refresh();
+    }
+
+    function setWeather(value) {
+        if (!WEATHER[value]) return;
+        weather = value;
+        envDirty = true;
+        refresh();
+    }
+
+    function setEnvironmentSize(size) {
+        envSize = size;
+        envDirty = true;
+    }
+
+    function refresh() {
+        if (mode !== 'static') {
+            updateSun();
+            applyLighting();
+        }
+        notify();
+    }
+
+    function update(delta) {
+        if (mode === 'static') return;
+        if (mode === 'clock') {
+            const before = sunElevation;
+            updateSun();
+            // The clock moved the sun: relight and let the panel catch up with the new hour
+            if (Math.abs(sunElevation - before) > 0.01) {
+                applyLighting();
+                notify();
+            }
+        }
+
+        // Keep the sky box inside the far plane and the shadow frustum on the visitor
+        camera.getWorldPosition(sky.position);
+        sky.scale.setScalar(camera.far * 0.5);
+
+        const focus = getFocus();
+        sun.target.position.copy(focus);
+        sun.position.copy(focus).addScaledVector(sunDirection, SUN_DISTANCE);
+        sun.target.updateMatrixWorld();
+
+        envTimer += delta;
+        const sunMoved = envSunElevation === null || Math.abs(sunElevation - envSunElevation) > ENV_SUN_STEP;
+        if ((envDirty || sunMoved) && envTimer >= ENV_REFRESH) {
+            envTimer = 0;
+            rebuildEnvironment();
+        }
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { mode, hour: getHour(), weather, daylight: mode === 'static' ? 1 : getDaylightFactor() };
+    }
+
+    return {
+        addModel,
+        removeModel,
+        setMode,
+        setTime,
+        setWeather,
+        setEnvironmentSize,
+        update,
+        subscribe,
+        getState,
+        isEnabled: () => mode !== 'static'
+    };
+}
+
+// Wires the #timePanel controls in index.html
+export function bindTimePanel(daylight) {
+    const modeSelect = document.getElementById('lightingMode');
+    const slider = document.getElementById('timeSlider');
+    const label = document.getElementById('timeLabel');
+    const weatherSelect = document.getElementById('weatherSelect');
+    if (!modeSelect) return;
+
+    modeSelect.addEventListener('change', () => daylight.setMode(modeSelect.value));
+    slider.addEventListener('input', () => daylight.setTime(Number(slider.value)));
+    weatherSelect.addEventListener('change', () => daylight.setWeather(weatherSelect.value));
+
+    let lastMinute = -1;
+    daylight.subscribe((state) => {
+        modeSelect.value = state.mode;
+        weatherSelect.value = state.weather;
+        weatherSelect.disabled = state.mode === 'static';
+        const minute = Math.floor(state.hour * 60);
+        if (minute !== lastMinute) {
+            lastMinute = minute;
+            label.textContent = state.mode === 'static' ? '--:--' : formatHour(state.hour);
+            if (document.activeElement !== slider) slider.value = state.hour;
+        }
+    });
+}
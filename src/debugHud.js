@@ -0,0 +1,95 @@
+// --------------------- Debug HUD ---------------------
+// On-screen runtime info (#debugHud in index.html), toggled with ` or opened by ?debug:
+// frame rate, renderer.info draw calls and triangles, and the walker's position, velocity,
+// ground contact, collider and bunny-hop multiplier. Text refreshes a few times a second so
+// the overlay itself stays off the frame budget.
+// Release builds also mute console.log (warnings and errors still show); ?debug keeps it.
+
+const REFRESH_INTERVAL = 0.25; // Seconds between text updates
+
+const debugRequested = new URLSearchParams(window.location.search).has('debug');
+
+// Call before anything logs; a no-op in the dev server and with ?debug
+export function applyReleaseLogging() {
+    if (!import.meta.env.PROD || debugRequested) return;
+    const mute = () => {};
+    console.log = mute;
+    console.info = mute;
+    console.debug = mute;
+    console.table = mute;
+}
+
+function formatCount(value) {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+    return String(value);
+}
+
+function formatVector(vector) {
+    return vector.toArray().map((n) => n.toFixed(2)).join(', ');
+}
+
+// getPlayer() returns { mode, position, grounded, collider, bunnyHop };
+// getColliders() / setColliders(visible) drive the wireframe checkbox
+export function createDebugHud({ renderer, getPlayer, getColliders, setColliders }) {
+    const hud = document.getElementById('debugHud');
+    const output = document.getElementById('debugHudText');
+    const collidersToggle = document.getElementById('debugColliders');
+
+    let visible = debugRequested;
+    let elapsed = 0;
+    let frames = 0;
+    let lastPosition = null;
+    let horizontalSpeed = 0;
+    let verticalSpeed = 0;
+
+    collidersToggle.addEventListener('change', () => setColliders(collidersToggle.checked));
+
+    function setVisible(value) {
+        visible = value;
+        hud.classList.toggle('show', visible);
+        elapsed = 0;
+        frames = 0;
+        lastPosition = null;
+    }
+
+    // Call right after the main render so renderer.info describes that frame
+    function update(delta) {
+        if (!visible) return;
+
+        const { position } = getPlayer();
+        if (lastPosition && delta > 0) {
+            horizontalSpeed = Math.hypot(position.x - lastPosition.x, position.z - lastPosition.z) / delta;
+            verticalSpeed = (position.y - lastPosition.y) / delta;
+        }
+        lastPosition = position.clone();
+
+        elapsed += delta;
+        frames++;
+        if (elapsed < REFRESH_INTERVAL) return;
+
+        const player = getPlayer();
+        const { calls, triangles } = renderer.info.render;
+        output.textContent = [
+            `FPS ${(frames / elapsed).toFixed(0)} (${((elapsed / frames) * 1000).toFixed(1)} ms)`,
+            `Draw calls ${calls} · Triangles ${formatCount(triangles)}`,
+            `Mode ${player.mode}`,
+            `Position ${formatVector(player.position)}`,
+            `Velocity ${horizontalSpeed.toFixed(2)} m/s (vertical ${verticalSpeed.toFixed(2)})`,
+            `Grounded ${player.grounded ? 'yes' : 'no'} · Collider ${player.collider || '—'}`,
+            `Bunny hop ×${player.bunnyHop.toFixed(2)}`
+        ].join('\n');
+        collidersToggle.checked = getColliders();
+
+        elapsed = 0;
+        frames = 0;
+    }
+
+    setVisible(visible);
+
+    return {
+        update,
+        toggle: () => setVisible(!visible),
+        isVisible: () => visible
+    };
+}
@@ -0,0 +1,104 @@
+// --------------------- Gamepad ---------------------
+// Polls the Gamepad API once per frame (browsers do not send events for stick movement).
+// Layout follows the "standard" mapping (Xbox names):
+//   left stick   move / orbit zoom         right stick   look / orbit
+//   A            jump                      LT / RT       sprint (hold)
+//   B            crouch (toggle)           Y             switch orbit <-> FPS
+// main.js turns the callbacks into movement, so the controller goes through the same
+// move flags and jump rules as the keyboard and touch joystick.
+
+const BUTTONS = {
+    jump: [0],          // A
+    crouch: [1],        // B
+    toggleView: [3],    // Y
+    sprint: [6, 7]      // LT, RT (analog)
+};
+
+export const DEFAULT_GAMEPAD_SETTINGS = {
+    deadZone: 0.15,          // Stick travel ignored around the centre (0-1)
+    lookSensitivity: 2.5,    // Radians per second at full tilt
+    lookCurve: 2,            // >1 gives finer control near the centre
+    invertY: false,
+    triggerThreshold: 0.4    // Trigger travel that counts as pressed
+};
+
+// Radial dead zone, rescaled so output still starts at 0 and reaches 1
+function applyDeadZone(x, y, deadZone) {
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone) return [0, 0];
+    const scaled = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+    return [(x / magnitude) * scaled, (y / magnitude) * scaled];
+}
+
+function isPressed(button, threshold) {
+    return button && (button.pressed || button.value > threshold);
+}
+
+export function createGamepadInput({ settings = DEFAULT_GAMEPAD_SETTINGS, onMove, onLook, onAction }) {
+    let padIndex = null;
+    let moving = false;
+    const held = new Set();
+
+    window.addEventListener('gamepadconnected', (e) => {
+        console.log(`Gamepad connected: ${e.gamepad.id}`);
+        if (e.gamepad.mapping !== 'standard') console.warn('Gamepad has no standard mapping - buttons may differ');
+        if (padIndex === null) padIndex = e.gamepad.index;
+    });
+
+    window.addEventListener('gamepaddisconnected', (e) => {
+        console.log(`Gamepad disconnected: ${e.gamepad.id}`);
+        if (e.gamepad.index !== padIndex) return;
+        padIndex = null;
+        release();
+    });
+
+    // Lets go of everything, e.g. when the pad is unplugged mid-stride
+    function release() {
+        if (moving) onMove(0, 0, 0);
+        moving = false;
+        held.forEach((action) => onAction(action, false));
+        held.clear();
+    }
+
+    function getPad() {
+        if (padIndex === null || !navigator.getGamepads) return null;
+        return navigator.getGamepads()[padIndex] || null;
+    }
+
+    function update(delta) {
+        const pad = getPad();
+        if (!pad) return;
+
+        // Left stick; y is flipped so pushing forward is positive, like the touch joystick
+        const [moveX, moveY] = applyDeadZone(pad.axes[0] || 0, -(pad.axes[1] || 0), settings.deadZone);
+        if (moveX !== 0 || moveY !== 0) {
+            moving = true;
+            onMove(moveX, moveY, delta);
+        } else if (moving) {
+            moving = false;
+            onMove(0, 0, delta);
+        }
+
+        // Right stick, as yaw/pitch angles for this frame
+        const [lookX, lookY] = applyDeadZone(pad.axes[2] || 0, pad.axes[3] || 0, settings.deadZone);
+        if (lookX !== 0 || lookY !== 0) {
+            const curve = (value) => Math.sign(value) * Math.pow(Math.abs(value), settings.lookCurve);
+            const step = settings.lookSensitivity * delta;
+            onLook(curve(lookX) * step, curve(lookY) * step * (settings.invertY ? -1 : 1));
+        }
+
+        // Buttons report presses and releases once, not every frame
+        Object.entries(BUTTONS).forEach(([action, indices]) => {
+            const pressed = indices.some((index) => isPressed(pad.buttons[index], settings.triggerThreshold));
+            if (pressed === held.has(action)) return;
+            if (pressed) held.add(action);
+            else held.delete(action);
+            onAction(action, pressed);
+        });
+    }
+
+    return {
+        update,
+        isConnected: () => getPad() !== null
+    };
+}
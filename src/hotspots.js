@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+
+// --------------------- Hotspots ---------------------
+// Clickable buildings and rooms. Definitions are keyed by mesh (or parent node) name in a
+// JSON file:
+//   { "hotspots": { "Library": { "name", "department", "description",
+//                                "photos": ["url"], "links": [{ "label", "url" }] } } }
+// A node's glTF extras may also carry `hotspot`: either the key of a JSON entry, or an
+// inline definition object, which wins over the JSON file for that node.
+// Names, departments, descriptions and link labels are plain strings or one per language
+// ({ "en", "hi" }, see src/i18n.js).
+
+// Pointer travel (px) above which a press counts as a drag, not a click
+const CLICK_TOLERANCE = 6;
+
+function isVisible(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+export function createHotspots({ camera, domElement }) {
+    let definitions = {};
+    const roots = [];
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+
+    async function load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Hotspot file ${url}: HTTP ${response.status}`);
+        const data = await response.json();
+        definitions = data.hotspots || {};
+        console.log(`Hotspots loaded: ${Object.keys(definitions).length} definitions`);
+        return definitions;
+    }
+
+    // Campus model to pick against
+    function setModel(object) {
+        roots.length = 0;
+        roots.push(object);
+    }
+
+    // Extra pickable models, e.g. streamed detail chunks
+    function addModel(object) {
+        if (!roots.includes(object)) roots.push(object);
+    }
+
+    function removeModel(object) {
+        const index = roots.indexOf(object);
+        if (index !== -1) roots.splice(index, 1);
+    }
+
+    function readExtras(node) {
+        const extra = node.userData && node.userData.hotspot;
+        if (!extra) return null;
+        if (typeof extra === 'string') {
+            // Blender string properties may hold a key or a JSON object
+            if (extra.trim().startsWith('{')) {
+                try {
+                    return JSON.parse(extra);
+                } catch (error) {
+                    console.warn(`Invalid hotspot JSON on ${node.name}:`, error);
+                    return null;
+                }
+            }
+            return definitions[extra] || null;
+        }
+        return typeof extra === 'object' ? extra : null;
+    }
+
+    // Nearest hotspot definition on `object` or one of its parents
+    function findHotspot(object) {
+        for (let node = object; node; node = roots.includes(node) ? null : node.parent) {
+            const fromExtras = readExtras(node);
+            const fromFile = node.name ? definitions[node.name] : null;
+            if (fromExtras || fromFile) {
+                return {
+                    id: node.name,
+                    name: node.name,
+                    ...fromFile,
+                    ...fromExtras,
+                    object: node
+                };
+            }
+        }
+        return null;
+    }
+
+    // `ndc` in normalised device coordinates (centre of the screen is 0, 0)
+    function pick(ndc) {
+        if (roots.length === 0) return null;
+        raycaster.setFromCamera(ndc, camera);
+        const hits = raycaster.intersectObjects(roots, true);
+        const hit = hits.find((h) => isVisible(h.object));
+        return hit ? findHotspot(hit.object) : null;
+    }
+
+    // Calls `onPick(hotspot | null)` for clicks/taps on the canvas. `getPickPoint` may return
+    // fixed NDC (e.g. the crosshair while the pointer is locked), null to use the pointer,
+    // or false to ignore the click.
+    function listen(onPick, getPickPoint = () => null) {
+        let downX = 0, downY = 0;
+
+        domElement.addEventListener('pointerdown', (e) => {
+            downX = e.clientX;
+            downY = e.clientY;
+        });
+
+        domElement.addEventListener('pointerup', (e) => {
+            if (Math.hypot(e.clientX - downX, e.clientY - downY) > CLICK_TOLERANCE) return;
+
+            const fixed = getPickPoint();
+            if (fixed === false) return;
+            if (fixed) {
+                pointer.copy(fixed);
+            } else {
+                const rect = domElement.getBoundingClientRect();
+                pointer.set(
+                    ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                    -((e.clientY - rect.top) / rect.height) * 2 + 1
+                );
+            }
+            onPick(pick(pointer));
+        });
+    }
+
+    return {
+        load,
+        setModel,
+        addModel,
+        removeModel,
+        pick,
+        listen,
+        getDefinitions: () => definitions
+    };
+}
+
+// Hotspot links come from JSON: only http(s) URLs make it into the card (no javascript: etc.)
+function safeLinkUrl(value) {
+    try {
+        const url = new URL(value, location.href);
+        if (url.protocol === 'http:' || url.protocol === 'https:') return url.href;
+        console.warn(`Skipping hotspot link with ${url.protocol} URL: ${value}`);
+        return null;
+    } catch (error) {
+        console.warn(`Skipping hotspot link with unreadable URL: ${value}`, error);
+        return null;
+    }
+}
+
+// Fills and shows the #infoCard markup in index.html; pass null to hide it
+export function showInfoCard(hotspot, i18n) {
+    const card = document.getElementById('infoCard');
+    if (!card) return;
+
+    if (!hotspot) {
+        card.classList.remove('show');
+        return;
+    }
+
+    const name = i18n.localize(hotspot.name) || hotspot.id;
+    document.getElementById('infoCardName').textContent = name;
+    document.getElementById('infoCardDepartment').textContent = i18n.localize(hotspot.department);
+    document.getElementById('infoCardDescription').textContent = i18n.localize(hotspot.description);
+
+    const photos = document.getElementById('infoCardPhotos');
+    photos.replaceChildren(...(hotspot.photos || []).map((url) => {
+        const img = document.createElement('img');
+        img.src = url;
+        img.alt = name;
+        img.loading = 'lazy';
+        return img;
+    }));
+
+    const links = document.getElementById('infoCardLinks');
+    links.replaceChildren(...(hotspot.links || []).map((link) => {
+        const url = safeLinkUrl(link.url);
+        if (!url) return null;
+        const a = document.createElement('a');
+        a.href = url;
+        a.textContent = i18n.localize(link.label) || link.url;
+        a.target = '_blank';
+        a.rel = 'noopener';
+        return a;
+    }).filter(Boolean));
+
+    card.classList.add('show');
+}
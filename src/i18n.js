@@ -0,0 +1,182 @@
+// --------------------- Localisation ---------------------
+// Visitor-facing text goes through t(text, params). The English text is its own key:
+// public/locales/<lang>.json maps it to a translation, and anything missing stays English.
+// {name} placeholders are filled from params, e.g. t('{metres} m to {place}', { metres, place }).
+// Static markup opts in with data-i18n (text content) and data-i18n-attr="title,aria-label"
+// (attributes); the English originals are remembered so switching back works.
+// Tour, hotspot and destination text may be a plain string or one per language,
+// { "en": "Library", "hi": "पुस्तकालय" }; localize(value) picks the current language.
+// The language comes from ?lang=, then the saved choice, then the browser's languages.
+
+export const LANGUAGES = {
+    en: { name: 'English' },
+    hi: { name: 'हिन्दी', file: '/locales/hi.json' }
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const STORAGE_KEY = 'campusViewer.language';
+
+// 'hi-IN' -> 'hi'; null for languages without a translation file
+function normalizeLanguage(code) {
+    if (typeof code !== 'string') return null;
+    const base = code.trim().toLowerCase().split('-')[0];
+    return LANGUAGES[base] ? base : null;
+}
+
+export function getInitialLanguage() {
+    const param = normalizeLanguage(new URLSearchParams(window.location.search).get('lang'));
+    if (param) return param;
+
+    try {
+        const stored = normalizeLanguage(localStorage.getItem(STORAGE_KEY));
+        if (stored) return stored;
+    } catch (error) {
+        console.warn('Ignoring unreadable language choice:', error);
+    }
+
+    const browser = (navigator.languages || [navigator.language]).map(normalizeLanguage).find(Boolean);
+    return browser || DEFAULT_LANGUAGE;
+}
+
+function saveLanguage(language) {
+    try {
+        localStorage.setItem(STORAGE_KEY, language);
+    } catch (error) {
+        console.warn('Could not save language choice:', error);
+    }
+}
+
+// Fills {name} placeholders; unknown ones are left as they are
+export function interpolate(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// A string, or { en, hi, ... } content text in `language` (falling back to English)
+export function localizeText(value, language = DEFAULT_LANGUAGE) {
+    if (value === null || value === undefined) return '';
+    if (typeof value !== 'object') return String(value);
+    if (value[language] !== undefined) return value[language];
+    if (value[DEFAULT_LANGUAGE] !== undefined) return value[DEFAULT_LANGUAGE];
+    const first = Object.values(value)[0];
+    return first !== undefined ? String(first) : '';
+}
+
+export function createI18n() {
+    let language = DEFAULT_LANGUAGE;
+    let messages = {};
+    const catalogs = new Map([[DEFAULT_LANGUAGE, {}]]);
+    const listeners = [];
+
+    async function loadCatalog(code) {
+        if (catalogs.has(code)) return catalogs.get(code);
+        const url = LANGUAGES[code].file;
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Translation file ${url}: HTTP ${response.status}`);
+        const data = await response.json();
+        const catalog = data && typeof data === 'object' ? data : {};
+        catalogs.set(code, catalog);
+        console.log(`Translations loaded: ${code} (${Object.keys(catalog).length} strings)`);
+        return catalog;
+    }
+
+    function t(text, params) {
+        const translated = messages[text];
+        return interpolate(typeof translated === 'string' && translated ? translated : text, params);
+    }
+
+    function localize(value) {
+        return localizeText(value, language);
+    }
+
+    function translateElement(element) {
+        if (element.hasAttribute('data-i18n')) {
+            if (element.dataset.i18nSource === undefined) element.dataset.i18nSource = element.textContent.trim();
+            element.textContent = t(element.dataset.i18nSource);
+        }
+        const attributes = element.dataset.i18nAttr;
+        if (!attributes) return;
+        attributes.split(',').map((name) => name.trim()).forEach((name) => {
+            const sourceKey = `i18nSource${name.replace(/(^|-)(\w)/g, (match, dash, letter) => letter.toUpperCase())}`;
+            if (element.dataset[sourceKey] === undefined) element.dataset[sourceKey] = element.getAttribute(name) || '';
+            element.setAttribute(name, t(element.dataset[sourceKey]));
+        });
+    }
+
+    // Re-translates every marked element under `root`
+    function translatePage(root = document) {
+        root.querySelectorAll('[data-i18n], [data-i18n-attr]').forEach(translateElement);
+    }
+
+    // Resolves once the translation file is in; an unreadable file keeps the current language
+    async function setLanguage(code) {
+        const next = normalizeLanguage(code) || DEFAULT_LANGUAGE;
+        try {
+            messages = await loadCatalog(next);
+        } catch (error) {
+            console.warn(`Could not load ${LANGUAGES[next].name} translations:`, error);
+            return false;
+        }
+        language = next;
+        document.documentElement.lang = language;
+        translatePage();
+        notify();
+        return true;
+    }
+
+    // Visitor's choice from the switcher: remembered, and kept in the address bar for sharing
+    async function chooseLanguage(code) {
+        if (!(await setLanguage(code))) return false;
+        saveLanguage(language);
+        const url = new URL(window.location.href);
+        if (language === DEFAULT_LANGUAGE) url.searchParams.delete('lang');
+        else url.searchParams.set('lang', language);
+        history.replaceState(null, '', url);
+        return true;
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { language, languages: Object.keys(LANGUAGES) };
+    }
+
+    return {
+        t,
+        localize,
+        setLanguage,
+        chooseLanguage,
+        translatePage,
+        subscribe,
+        getState,
+        getLanguage: () => language
+    };
+}
+
+// Fills and wires the #languageSelect dropdown in index.html
+export function bindLanguageSelect(i18n) {
+    const select = document.getElementById('languageSelect');
+    if (!select) return;
+
+    select.replaceChildren(...Object.entries(LANGUAGES).map(([code, { name }]) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = name;
+        option.lang = code;
+        return option;
+    }));
+
+    select.addEventListener('change', () => i18n.chooseLanguage(select.value));
+    i18n.subscribe(({ language }) => {
+        select.value = language;
+    });
+}
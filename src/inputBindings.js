@@ -0,0 +1,429 @@
+// --------------------- Key Bindings ---------------------
+// Keyboard input goes through named actions instead of hard-coded key codes, so visitors can
+// rebind keys from the controls menu. Each action has up to two keys (KeyboardEvent.code);
+// changes are saved in localStorage as overrides of the defaults below.
+//   hold actions call their handler with true on press and false on release
+//   press actions call it once per press (`repeat` ones also on key repeat)
+// Escape is reserved for closing panels and cannot be bound.
+
+export const INPUT_ACTIONS = [
+    { id: 'moveForward', label: 'Move Forward', section: 'Movement', keys: ['KeyW', 'ArrowUp'], hold: true },
+    { id: 'moveLeft', label: 'Move Left', section: 'Movement', keys: ['KeyA', 'ArrowLeft'], hold: true },
+    { id: 'moveBackward', label: 'Move Backward', section: 'Movement', keys: ['KeyS', 'ArrowDown'], hold: true },
+    { id: 'moveRight', label: 'Move Right', section: 'Movement', keys: ['KeyD', 'ArrowRight'], hold: true },
+    { id: 'sprint', label: 'Sprint', section: 'Movement', keys: ['ShiftLeft', 'ShiftRight'], hold: true },
+    { id: 'jump', label: 'Jump', section: 'Movement', keys: ['Space'], repeat: true },
+    { id: 'crouch', label: 'Crouch (hold)', section: 'Movement', keys: ['KeyC'], hold: true },
+    { id: 'crouchToggle', label: 'Crouch (toggle)', section: 'Movement', keys: ['KeyX'] },
+    { id: 'orbitView', label: 'Orbit Camera Mode', section: 'Camera', keys: ['KeyO'] },
+    { id: 'fpsView', label: 'First Person Mode', section: 'Camera', keys: ['KeyP'] },
+    { id: 'toggleMap', label: 'Open / Close Campus Map', section: 'Map', keys: ['KeyM'] },
+    { id: 'toggleTour', label: 'Start / Stop Guided Tour', section: 'Tour', keys: ['KeyT'] },
+    { id: 'tourPrevious', label: 'Previous Stop', section: 'Tour', keys: ['Comma'] },
+    { id: 'tourNext', label: 'Next Stop', section: 'Tour', keys: ['Period'] },
+    { id: 'openDirections', label: 'Open Directions Panel', section: 'Navigation', keys: ['KeyN'] },
+    { id: 'toggleDebugHud', label: 'Toggle Debug Overlay', section: 'Debug', keys: ['Backquote'] },
+    { id: 'toggleColliders', label: 'Toggle Collision Boxes', section: 'Debug', keys: ['KeyB'] },
+    { id: 'positionInfo', label: 'Show Position Info', section: 'Debug', keys: ['KeyI'] },
+    { id: 'toggleCollisionLog', label: 'Toggle Collision Logging', section: 'Debug', keys: ['KeyL'] },
+    { id: 'boostJump', label: 'Boost Jump', section: 'Debug', keys: ['AltLeft', 'AltRight'] },
+    { id: 'toggleColliderEditor', label: 'Open / Close Collider Editor', section: 'Collider Editor', keys: ['KeyK'] },
+    { id: 'editorMoveTool', label: 'Move Box', section: 'Collider Editor', keys: ['KeyG'] },
+    { id: 'editorResizeTool', label: 'Resize Box', section: 'Collider Editor', keys: ['KeyR'] },
+    { id: 'editorDelete', label: 'Delete Box', section: 'Collider Editor', keys: ['Delete', 'Backspace'] },
+    { id: 'raiseColliders', label: 'Shift Colliders Up 1 m', section: 'Collider Editor', keys: ['Home'], repeat: true },
+    { id: 'lowerColliders', label: 'Shift Colliders Down 1 m', section: 'Collider Editor', keys: ['End'], repeat: true },
+    { id: 'nudgeCollidersUp', label: 'Shift Colliders Up 0.1 m', section: 'Collider Editor', keys: ['PageUp'], repeat: true },
+    { id: 'nudgeCollidersDown', label: 'Shift Colliders Down 0.1 m', section: 'Collider Editor', keys: ['PageDown'], repeat: true }
+];
+
+// Mouse and controller controls, listed in the menu but not rebindable
+export const FIXED_CONTROLS = [
+    { section: 'Camera', key: 'Click', label: 'Lock Cursor (FPS Mode)' },
+    { section: 'Camera', key: 'Click', label: 'Building Info (FPS: aim at centre)' },
+    { section: 'Map', key: 'Click', label: 'Teleport (on the open map)' },
+    { section: 'Gamepad', key: 'L Stick', label: 'Move (orbit: zoom)' },
+    { section: 'Gamepad', key: 'R Stick', label: 'Look around (orbit: rotate)' },
+    { section: 'Gamepad', key: 'LT / RT', label: 'Sprint' },
+    { section: 'Gamepad', key: 'A', label: 'Jump' },
+    { section: 'Gamepad', key: 'B', label: 'Crouch (toggle)' },
+    { section: 'Gamepad', key: 'Y', label: 'Switch Orbit / FPS' }
+];
+
+export const KEYS_PER_ACTION = 2;
+
+const STORAGE_KEY = 'campusViewer.keyBindings';
+const RESERVED_KEYS = ['Escape'];
+
+const KEY_NAMES = {
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+    ShiftLeft: 'L-SHIFT', ShiftRight: 'R-SHIFT', ControlLeft: 'L-CTRL', ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT', AltRight: 'R-ALT', Space: 'SPACE', Comma: ',', Period: '.', Slash: '/',
+    Semicolon: ';', Quote: "'", BracketLeft: '[', BracketRight: ']', Backslash: '\\',
+    Minus: '-', Equal: '=', Backquote: '`', PageUp: 'PG UP', PageDown: 'PG DN', Home: 'HOME', End: 'END',
+    Delete: 'DEL', Backspace: 'BKSP'
+};
+
+// Short label for a KeyboardEvent.code, e.g. 'KeyW' -> 'W'
+export function formatKey(code) {
+    if (!code) return '—';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (/^Key[A-Z]$/.test(code)) return code.slice(3);
+    if (/^Digit\d$/.test(code)) return code.slice(5);
+    if (/^Numpad/.test(code)) return `NUM ${code.slice(6)}`;
+    return code.toUpperCase();
+}
+
+function loadOverrides() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return stored && typeof stored === 'object' ? stored : {};
+    } catch (error) {
+        console.warn('Ignoring unreadable key bindings:', error);
+        return {};
+    }
+}
+
+function isTyping(target) {
+    return target && (target.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName));
+}
+
+// Space / Enter on a focused button press that button, for keyboard-only visitors
+function isPressingButton(e) {
+    return e.target && e.target.tagName === 'BUTTON' && ['Space', 'Enter', 'NumpadEnter'].includes(e.code);
+}
+
+export function createInputBindings({ actions = INPUT_ACTIONS } = {}) {
+    const byId = new Map(actions.map((action) => [action.id, action]));
+    const bindings = new Map();
+    const handlers = new Map();
+    const heldKeys = new Map();   // code -> action ids it is holding down
+    const listeners = [];
+    let suspended = false;
+
+    // Stored bindings for unknown actions or reserved keys are dropped
+    const overrides = loadOverrides();
+    actions.forEach((action) => {
+        const stored = overrides[action.id];
+        const keys = Array.isArray(stored)
+            ? stored.filter((code) => typeof code === 'string' && !RESERVED_KEYS.includes(code))
+            : action.keys;
+        bindings.set(action.id, keys.slice(0, KEYS_PER_ACTION));
+    });
+
+    function save() {
+        const changed = {};
+        actions.forEach((action) => {
+            const keys = bindings.get(action.id);
+            if (keys.join() !== action.keys.slice(0, KEYS_PER_ACTION).join()) changed[action.id] = keys;
+        });
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(changed));
+        } catch (error) {
+            console.warn('Could not save key bindings:', error);
+        }
+    }
+
+    function getKeys(actionId) {
+        return bindings.get(actionId) || [];
+    }
+
+    function getActionsForKey(code) {
+        return actions.filter((action) => getKeys(action.id).includes(code)).map((action) => action.id);
+    }
+
+    // Keys bound to more than one action: [{ code, actions: [ids] }]
+    function findConflicts() {
+        const owners = new Map();
+        bindings.forEach((keys, actionId) => {
+            keys.forEach((code) => {
+                if (!owners.has(code)) owners.set(code, []);
+                owners.get(code).push(actionId);
+            });
+        });
+        return [...owners.entries()]
+            .filter(([, ids]) => ids.length > 1)
+            .map(([code, ids]) => ({ code, actions: ids }));
+    }
+
+    // Binds `code` to the action's key `slot` (null clears it). The key is taken away from any
+    // other action that had it; their ids are returned so the caller can say what moved.
+    function bind(actionId, slot, code) {
+        if (!byId.has(actionId)) throw new Error(`Unknown input action: ${actionId}`);
+        if (code && RESERVED_KEYS.includes(code)) throw new Error(`${formatKey(code)} is reserved`);
+
+        releaseAll();
+        const displaced = [];
+        if (code) {
+            bindings.forEach((keys, otherId) => {
+                if (otherId === actionId || !keys.includes(code)) return;
+                bindings.set(otherId, keys.filter((key) => key !== code));
+                displaced.push(otherId);
+            });
+        }
+
+        const keys = getKeys(actionId).slice();
+        const existing = code ? keys.indexOf(code) : -1;
+        if (!code) {
+            keys.splice(slot, 1);
+        } else if (existing !== -1) {
+            // Already one of this action's keys: swap the two slots
+            keys[existing] = keys[slot];
+            keys[slot] = code;
+        } else if (slot < keys.length) {
+            keys[slot] = code;
+        } else {
+            keys.push(code);
+        }
+        bindings.set(actionId, keys.filter(Boolean).slice(0, KEYS_PER_ACTION));
+
+        save();
+        notify();
+        return displaced;
+    }
+
+    function reset() {
+        releaseAll();
+        actions.forEach((action) => bindings.set(action.id, action.keys.slice(0, KEYS_PER_ACTION)));
+        save();
+        notify();
+    }
+
+    // handler(pressed) for hold actions, handler() for press actions
+    function on(actionId, handler) {
+        if (!byId.has(actionId)) throw new Error(`Unknown input action: ${actionId}`);
+        if (!handlers.has(actionId)) handlers.set(actionId, []);
+        handlers.get(actionId).push(handler);
+    }
+
+    function emit(actionId, pressed) {
+        (handlers.get(actionId) || []).forEach((handler) => handler(pressed));
+    }
+
+    function isActionHeld(actionId) {
+        for (const ids of heldKeys.values()) {
+            if (ids.includes(actionId)) return true;
+        }
+        return false;
+    }
+
+    function handleKeyDown(e) {
+        if (suspended || isTyping(e.target) || isPressingButton(e)) return;
+        const ids = getActionsForKey(e.code);
+        if (ids.length === 0) return;
+        e.preventDefault();
+
+        ids.forEach((actionId) => {
+            const action = byId.get(actionId);
+            if (action.hold) {
+                if (heldKeys.has(e.code) && heldKeys.get(e.code).includes(actionId)) return;
+                const wasHeld = isActionHeld(actionId);
+                heldKeys.set(e.code, [...(heldKeys.get(e.code) || []), actionId]);
+                if (!wasHeld) emit(actionId, true);
+            } else if (!e.repeat || action.repeat) {
+                emit(actionId);
+            }
+        });
+    }
+
+    function handleKeyUp(e) {
+        const ids = heldKeys.get(e.code);
+        if (!ids) return;
+        heldKeys.delete(e.code);
+        // Another key for the same action may still be down
+        ids.forEach((actionId) => {
+            if (!isActionHeld(actionId)) emit(actionId, false);
+        });
+    }
+
+    // Lets go of held actions, e.g. when the window loses focus mid-stride
+    function releaseAll() {
+        const ids = new Set([...heldKeys.values()].flat());
+        heldKeys.clear();
+        ids.forEach((actionId) => emit(actionId, false));
+    }
+
+    function attach(target = document) {
+        target.addEventListener('keydown', handleKeyDown);
+        target.addEventListener('keyup', handleKeyUp);
+        window.addEventListener('blur', releaseAll);
+    }
+
+    // Stops dispatching while the menu listens for a new key
+    function setSuspended(value) {
+        suspended = value;
+        if (value) releaseAll();
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return {
+            bindings: Object.fromEntries(bindings),
+            conflicts: findConflicts()
+        };
+    }
+
+    return {
+        actions,
+        attach,
+        on,
+        bind,
+        reset,
+        getKeys,
+        getActionsForKey,
+        findConflicts,
+        setSuspended,
+        subscribe,
+        getState
+    };
+}
+
+// Builds the #controlsMenu list from the live bindings. Clicking a key waits for the next
+// key press to replace it; Escape cancels, Backspace/Delete clears the slot. Labels and
+// section titles are translated with i18n.t and redrawn when the language changes.
+export function bindControlsMenu(inputBindings, { fixedControls = FIXED_CONTROLS, i18n } = {}) {
+    const list = document.getElementById('controlsList');
+    const status = document.getElementById('controlsStatus');
+    const resetBtn = document.getElementById('resetBindingsBtn');
+    if (!list) return;
+    const { t } = i18n;
+
+    let listening = null;   // { actionId, slot, button }
+
+    function setStatus(text, isWarning = false) {
+        status.textContent = text;
+        status.classList.toggle('warning', isWarning);
+    }
+
+    function labelFor(actionId) {
+        const action = inputBindings.actions.find((entry) => entry.id === actionId);
+        return action ? t(action.label) : actionId;
+    }
+
+    function stopListening() {
+        if (!listening) return;
+        listening.button.classList.remove('listening');
+        listening = null;
+        inputBindings.setSuspended(false);
+        window.removeEventListener('keydown', captureKey, true);
+    }
+
+    function captureKey(e) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        const { actionId, slot } = listening;
+        stopListening();
+
+        if (e.code === 'Escape') {
+            setStatus(t('Cancelled'));
+            render();
+            return;
+        }
+        const code = e.code === 'Backspace' || e.code === 'Delete' ? null : e.code;
+        const displaced = inputBindings.bind(actionId, slot, code);
+        if (displaced.length > 0) {
+            setStatus(t('{key} was taken from {actions}', { key: formatKey(code), actions: displaced.map(labelFor).join(', ') }), true);
+        } else {
+            setStatus(code ? `${labelFor(actionId)}: ${formatKey(code)}` : t('{action}: key cleared', { action: labelFor(actionId) }));
+        }
+    }
+
+    function startListening(actionId, slot, button) {
+        stopListening();
+        listening = { actionId, slot, button };
+        button.classList.add('listening');
+        button.textContent = '...';
+        inputBindings.setSuspended(true);
+        setStatus(t('Press a key for {action} (Esc cancels, Backspace clears)', { action: labelFor(actionId) }));
+        // Capture phase, so the key reaches no other handler
+        window.addEventListener('keydown', captureKey, true);
+    }
+
+    function createSection(title) {
+        const section = document.createElement('div');
+        section.className = 'control-section';
+        const heading = document.createElement('div');
+        heading.className = 'section-title';
+        heading.textContent = t(title);
+        section.appendChild(heading);
+        list.appendChild(section);
+        return section;
+    }
+
+    function createRow(section, label) {
+        const row = document.createElement('div');
+        row.className = 'control-item';
+        const keys = document.createElement('div');
+        keys.className = 'control-keys';
+        const desc = document.createElement('div');
+        desc.className = 'control-desc';
+        desc.textContent = t(label);
+        row.append(keys, desc);
+        section.appendChild(row);
+        return keys;
+    }
+
+    function render() {
+        const { conflicts } = inputBindings.getState();
+        const conflicted = new Set(conflicts.map((conflict) => conflict.code));
+        const sections = new Map();
+        const sectionFor = (title) => {
+            if (!sections.has(title)) sections.set(title, createSection(title));
+            return sections.get(title);
+        };
+
+        list.innerHTML = '';
+        inputBindings.actions.forEach((action) => {
+            const keysCell = createRow(sectionFor(action.section), action.label);
+            const keys = inputBindings.getKeys(action.id);
+            for (let slot = 0; slot < KEYS_PER_ACTION; slot++) {
+                const button = document.createElement('button');
+                button.className = 'control-key';
+                button.textContent = formatKey(keys[slot]);
+                button.title = t('Click, then press a new key');
+                if (!keys[slot]) button.classList.add('empty');
+                if (conflicted.has(keys[slot])) button.classList.add('conflict');
+                button.addEventListener('click', () => startListening(action.id, Math.min(slot, keys.length), button));
+                keysCell.appendChild(button);
+            }
+        });
+
+        fixedControls.forEach((control) => {
+            const key = document.createElement('div');
+            key.className = 'control-key';
+            key.textContent = t(control.key);
+            createRow(sectionFor(control.section), control.label).appendChild(key);
+        });
+
+        if (conflicts.length > 0) {
+            setStatus(t('Keys used twice: {keys}', { keys: conflicts.map((conflict) => formatKey(conflict.code)).join(', ') }), true);
+        }
+    }
+
+    resetBtn.addEventListener('click', () => {
+        stopListening();
+        inputBindings.reset();
+        setStatus(t('Default keys restored'));
+    });
+
+    // Closing the menu abandons a pending rebind
+    document.getElementById('closeControlsBtn').addEventListener('click', () => {
+        stopListening();
+        render();
+    });
+
+    inputBindings.subscribe(render);
+    i18n.subscribe(() => {
+        stopListening();
+        render();
+    });
+}
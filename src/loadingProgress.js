@@ -0,0 +1,143 @@
+import { interpolate } from './i18n.js';
+
+// --------------------- Loading Progress ---------------------
+// Tracks the scene's assets from their loader callbacks and reports real byte progress.
+// Each asset is added with a `load(handle)` function that starts (or restarts) it and
+// reports back through the handle:
+//   handle.progress(event)   ProgressEvent from the loader
+//   handle.processing(text)  downloaded, now parsing / building colliders
+//   handle.done()            ready
+//   handle.fail(error)       failed; optional assets call `fallback()` and count as done
+// Loading completes once every asset is done (`onComplete(warnings)` lists fallbacks that
+// were used); a failed required asset reports an error and can be retried in place.
+// Status messages go through `t` (src/i18n.js); asset labels arrive already translated.
+
+const MB = 1024 * 1024;
+
+export function createLoadingTracker({ onProgress, onComplete, onError, t = interpolate }) {
+    const assets = new Map();
+    let completed = false;
+
+    function add(name, { label, optional = false, load, fallback = null }) {
+        assets.set(name, { name, label, optional, load, fallback, state: 'pending', loaded: 0, total: 0, message: '', error: null });
+    }
+
+    function handleFor(asset) {
+        return {
+            progress(event) {
+                if (asset.state !== 'loading') return;
+                asset.loaded = event.loaded;
+                asset.total = event.lengthComputable ? event.total : 0;
+                report();
+            },
+            processing(message) {
+                asset.state = 'processing';
+                asset.loaded = Math.max(asset.loaded, asset.total);
+                asset.message = message;
+                report();
+            },
+            done() {
+                asset.state = 'done';
+                asset.loaded = Math.max(asset.loaded, asset.total);
+                report();
+            },
+            fail(error) {
+                console.error(`${asset.label} failed:`, error);
+                asset.error = error;
+                if (asset.optional && asset.fallback) {
+                    asset.fallback(error);
+                    asset.state = 'done';
+                    asset.loaded = asset.total;
+                    asset.message = t('{asset} unavailable - using a fallback', { asset: asset.label });
+                    report();
+                    return;
+                }
+                asset.state = 'failed';
+                report();
+            }
+        };
+    }
+
+    function begin(asset) {
+        asset.state = 'loading';
+        asset.loaded = 0;
+        asset.total = 0;
+        asset.message = '';
+        asset.error = null;
+        asset.load(handleFor(asset));
+    }
+
+    // Starts every asset added so far
+    function start() {
+        assets.forEach(begin);
+        report();
+    }
+
+    // Restarts the assets that failed
+    function retry() {
+        assets.forEach((asset) => {
+            if (asset.state === 'failed') begin(asset);
+        });
+        report();
+    }
+
+    // { fraction, message } over all assets. Downloads count once the server reports their
+    // size; without one the message still shows the megabytes received.
+    function getSummary() {
+        let loaded = 0, total = 0;
+        let message = '';
+
+        assets.forEach((asset) => {
+            if (asset.total > 0) {
+                loaded += Math.min(asset.loaded, asset.total);
+                total += asset.total;
+            }
+            if (!message && asset.state === 'loading') {
+                const size = asset.total > 0
+                    ? `${(asset.loaded / MB).toFixed(1)} / ${(asset.total / MB).toFixed(1)} MB`
+                    : `${(asset.loaded / MB).toFixed(1)} MB`;
+                message = t('{asset}... {size}', { asset: asset.label, size });
+            }
+        });
+
+        assets.forEach((asset) => {
+            if (!message && asset.message && asset.state !== 'failed') message = asset.message;
+        });
+
+        const settled = [...assets.values()].filter((asset) => asset.state === 'done').length;
+        const byteFraction = total > 0 ? loaded / total : 0;
+        // Bytes drive the bar; the last tenth is parsing and collider building
+        const fraction = byteFraction * 0.9 + (settled / Math.max(assets.size, 1)) * 0.1;
+
+        return { fraction: Math.min(fraction, 1), message: message || t('Preparing campus...') };
+    }
+
+    function report() {
+        if (completed) return;
+        const list = [...assets.values()];
+        const failed = list.filter((asset) => asset.state === 'failed');
+
+        // Errors show once the other assets have settled, so a retry restarts everything that failed
+        const busy = list.some((asset) => asset.state === 'loading' || asset.state === 'processing');
+        if (failed.length > 0 && !busy) {
+            onError(failed);
+            return;
+        }
+
+        if (list.length > 0 && list.every((asset) => asset.state === 'done')) {
+            completed = true;
+            onComplete(list.filter((asset) => asset.error).map((asset) => asset.message));
+            return;
+        }
+
+        onProgress(getSummary());
+    }
+
+    return {
+        add,
+        start,
+        retry,
+        getSummary,
+        isComplete: () => completed
+    };
+}
@@ -0,0 +1,184 @@
+import * as THREE from 'three';
+
+// --------------------- Minimap ---------------------
+// The campus is rendered once from an orthographic top-down camera into a texture when the
+// model loads. Each frame only a 2D canvas is redrawn: that snapshot plus the player
+// marker, so the map costs no extra 3D render per frame.
+
+const MAP_RESOLUTION = 1024; // Longest side of the top-down snapshot, in pixels
+const _direction = new THREE.Vector3();
+
+export function createMinimap({ renderer, scene, camera, onTeleport }) {
+    const corner = document.getElementById('minimap');
+    const cornerCanvas = document.getElementById('minimapCanvas');
+    const overlay = document.getElementById('mapOverlay');
+    const overlayCanvas = document.getElementById('mapOverlayCanvas');
+
+    const bounds = new THREE.Box3();
+    const snapshot = document.createElement('canvas');
+    let ready = false;
+    let expanded = false;
+    let lastKey = '';
+
+    // Renders the top-down snapshot covering `worldBounds`
+    function build(worldBounds) {
+        bounds.copy(worldBounds);
+        const size = bounds.getSize(new THREE.Vector3());
+        const center = bounds.getCenter(new THREE.Vector3());
+
+        const scale = MAP_RESOLUTION / Math.max(size.x, size.z);
+        const width = Math.max(1, Math.round(size.x * scale));
+        const height = Math.max(1, Math.round(size.z * scale));
+
+        // Screen right is +X and screen up is -Z, so the image's top row is bounds.min.z
+        const mapCamera = new THREE.OrthographicCamera(-size.x / 2, size.x / 2, size.z / 2, -size.z / 2, 0.1, size.y + 20);
+        mapCamera.up.set(0, 0, -1);
+        mapCamera.position.set(center.x, bounds.max.y + 10, center.z);
+        mapCamera.lookAt(center.x, bounds.min.y, center.z);
+        mapCamera.updateMatrixWorld();
+
+        const target = new THREE.WebGLRenderTarget(width, height);
+        target.texture.colorSpace = THREE.SRGBColorSpace;
+
+        const background = scene.background;
+        scene.background = new THREE.Color(0x1a1a2e);
+        renderer.setRenderTarget(target);
+        renderer.render(scene, mapCamera);
+        renderer.setRenderTarget(null);
+        scene.background = background;
+
+        const pixels = new Uint8Array(width * height * 4);
+        renderer.readRenderTargetPixels(target, 0, 0, width, height, pixels);
+        target.dispose();
+
+        // WebGL rows start at the bottom; canvas rows at the top
+        const image = new ImageData(width, height);
+        const rowBytes = width * 4;
+        for (let y = 0; y < height; y++) {
+            image.data.set(pixels.subarray((height - 1 - y) * rowBytes, (height - y) * rowBytes), y * rowBytes);
+        }
+        snapshot.width = width;
+        snapshot.height = height;
+        snapshot.getContext('2d').putImageData(image, 0, 0);
+
+        ready = true;
+        lastKey = '';
+        corner.classList.add('show');
+        console.log(`Minimap built (${width}x${height})`);
+    }
+
+    // Fraction (0-1) of the map for a world position, and back
+    function worldToMap(x, z) {
+        return {
+            u: (x - bounds.min.x) / (bounds.max.x - bounds.min.x),
+            v: (z - bounds.min.z) / (bounds.max.z - bounds.min.z)
+        };
+    }
+
+    function mapToWorld(u, v) {
+        return {
+            x: bounds.min.x + u * (bounds.max.x - bounds.min.x),
+            z: bounds.min.z + v * (bounds.max.z - bounds.min.z)
+        };
+    }
+
+    // Draws the snapshot letterboxed into `canvas`, returning where it landed
+    function drawMap(canvas) {
+        const rect = canvas.getBoundingClientRect();
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(rect.width * ratio) || canvas.height !== Math.round(rect.height * ratio)) {
+            canvas.width = Math.round(rect.width * ratio);
+            canvas.height = Math.round(rect.height * ratio);
+        }
+
+        const ctx = canvas.getContext('2d');
+        const fit = Math.min(canvas.width / snapshot.width, canvas.height / snapshot.height);
+        const area = {
+            x: (canvas.width - snapshot.width * fit) / 2,
+            y: (canvas.height - snapshot.height * fit) / 2,
+            width: snapshot.width * fit,
+            height: snapshot.height * fit
+        };
+
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(snapshot, area.x, area.y, area.width, area.height);
+
+        // Player marker: a dot with a heading wedge
+        camera.getWorldDirection(_direction);
+        const { u, v } = worldToMap(camera.position.x, camera.position.z);
+        const px = area.x + u * area.width;
+        const py = area.y + v * area.height;
+        const heading = Math.atan2(_direction.z, _direction.x);
+        const r = 6 * ratio;
+
+        ctx.save();
+        ctx.translate(px, py);
+        ctx.rotate(heading);
+        ctx.fillStyle = 'rgba(100, 181, 246, 0.35)';
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.arc(0, 0, r * 4, -0.5, 0.5);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#2196f3';
+        ctx.strokeStyle = 'white';
+        ctx.lineWidth = 2 * ratio;
+        ctx.beginPath();
+        ctx.arc(0, 0, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+
+        return area;
+    }
+
+    function update() {
+        if (!ready) return;
+
+        // Skip redraws while the player stands still
+        camera.getWorldDirection(_direction);
+        const key = `${camera.position.x.toFixed(1)},${camera.position.z.toFixed(1)},${_direction.x.toFixed(2)},${_direction.z.toFixed(2)},${expanded}`;
+        if (key === lastKey) return;
+        lastKey = key;
+
+        drawMap(cornerCanvas);
+        if (expanded) drawMap(overlayCanvas);
+    }
+
+    function setExpanded(value) {
+        expanded = value && ready;
+        overlay.classList.toggle('show', expanded);
+        lastKey = '';
+    }
+
+    corner.addEventListener('click', () => setExpanded(true));
+    document.getElementById('closeMapBtn').addEventListener('click', () => setExpanded(false));
+
+    overlayCanvas.addEventListener('click', (e) => {
+        const area = drawMap(overlayCanvas);
+        const rect = overlayCanvas.getBoundingClientRect();
+        const ratio = overlayCanvas.width / rect.width;
+        const u = ((e.clientX - rect.left) * ratio - area.x) / area.width;
+        const v = ((e.clientY - rect.top) * ratio - area.y) / area.height;
+        if (u < 0 || u > 1 || v < 0 || v > 1) return;
+
+        const { x, z } = mapToWorld(u, v);
+        if (onTeleport(x, z)) {
+            setExpanded(false);
+        } else {
+            // Nowhere to stand there: flash the map
+            overlay.classList.add('invalid');
+            setTimeout(() => overlay.classList.remove('invalid'), 400);
+        }
+    });
+
+    return {
+        build,
+        update,
+        setExpanded,
+        toggleExpanded: () => setExpanded(!expanded),
+        isExpanded: () => expanded,
+        // The top-down image and the world area it covers, e.g. under a heatmap; null until built
+        getSnapshot: () => (ready ? { image: snapshot, bounds: bounds.clone() } : null)
+    };
+}
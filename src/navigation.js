@@ -0,0 +1,431 @@
+import * as THREE from 'three';
+import { getWalkableNormalY } from './collision.js';
+
+// --------------------- Navigation Graph ---------------------
+// A walkable graph sampled from the collision world: every grid column over the campus is
+// probed top to bottom, and each floor there the player capsule fits on becomes a node, so
+// every storey gets its own layer. Neighbouring nodes are linked when the walker could get
+// from one to the other (ground all the way, no ledge above a step, nothing in the way),
+// which is also how stairs and ramps join the layers.
+
+const DOWN = new THREE.Vector3(0, -1, 0);
+const _from = new THREE.Vector3();
+const _to = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _probe = new THREE.Vector3();
+
+// Forward neighbour offsets; the reverse links are added at the same time
+const NEIGHBOURS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+// Binary min-heap of [priority, value] for A*
+function createHeap() {
+    const items = [];
+    return {
+        get size() {
+            return items.length;
+        },
+        push(priority, value) {
+            items.push([priority, value]);
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent][0] <= items[i][0]) break;
+                [items[parent], items[i]] = [items[i], items[parent]];
+                i = parent;
+            }
+        },
+        pop() {
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1, right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+                    if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+                    if (smallest === i) break;
+                    [items[smallest], items[i]] = [items[i], items[smallest]];
+                    i = smallest;
+                }
+            }
+            return top[1];
+        }
+    };
+}
+
+export function createNavigator({ collisionWorld, capsule, walker, cellSize = 1.5 }) {
+    const nodes = [];
+    const columns = new Map();
+    const bounds = new THREE.Box3();
+    let nx = 0, nz = 0;
+    let nodeCount = 0;               // Live nodes; ids of dropped ones stay empty in `nodes`
+    let ready = false;
+    let building = null;
+    let needsFull = true;            // No graph yet, or invalidate() without a region
+    const dirty = new Map();         // Column key -> [i, j] to sample again (invalidate(region))
+
+    const columnKey = (i, j) => i * 100000 + j;
+
+    function walkableNormalY() {
+        return getWalkableNormalY(walker.maxSlopeAngle);
+    }
+
+    // Height the walker can gain or lose over `distance` metres of ground
+    function maxRise(distance) {
+        return walker.maxStepHeight + distance * Math.tan(THREE.MathUtils.degToRad(walker.maxSlopeAngle));
+    }
+
+    // Whether the walker can get from feet position `a` to `b` in a straight line
+    function canWalk(a, b) {
+        const distance = Math.hypot(b.x - a.x, b.z - a.z);
+        const samples = Math.max(1, Math.ceil(distance / (cellSize * 0.5)));
+        const stepLength = distance / samples;
+        const normalY = walkableNormalY();
+        let y = a.y;
+
+        // Ground under every sample, never climbing more than a step (plus slope) at a time.
+        // One ray per sample keeps graph builds fast; the walker's own probe is wider.
+        const rise = maxRise(stepLength);
+        for (let k = 1; k <= samples; k++) {
+            const t = k / samples;
+            _probe.set(a.x + (b.x - a.x) * t, y + rise, a.z + (b.z - a.z) * t);
+            const ground = collisionWorld.raycast(_probe, DOWN, rise * 2);
+            if (!ground || !ground.walkable || ground.normal.y < normalY) return false;
+            y = ground.point.y;
+        }
+        if (Math.abs(y - b.y) > walker.maxStepHeight) return false;
+
+        // Nothing in the way at body height
+        const lift = walker.maxStepHeight + capsule.radius;
+        _from.set(a.x, a.y + lift, a.z);
+        _to.set(b.x, b.y + lift, b.z);
+        const length = _from.distanceTo(_to);
+        if (length < 1e-3) return true;
+        _dir.subVectors(_to, _from).divideScalar(length);
+        return collisionWorld.raycast(_from, _dir, length) === null;
+    }
+
+    function probeColumn(i, j) {
+        const x = bounds.min.x + (i + 0.5) * cellSize;
+        const z = bounds.min.z + (j + 0.5) * cellSize;
+        const origin = new THREE.Vector3(x, bounds.max.y + 1, z);
+        const normalY = walkableNormalY();
+        const ids = [];
+
+        for (let guard = 0; guard < 32; guard++) {
+            const hit = collisionWorld.raycast(origin, DOWN, origin.y - bounds.min.y + 1);
+            if (!hit) break;
+
+            if (hit.walkable && hit.normal.y >= normalY) {
+                const eye = new THREE.Vector3(x, hit.point.y + capsule.eyeHeight, z);
+                if (!collisionWorld.intersectsCapsule(eye, capsule, 0.05).collision) {
+                    const node = { id: nodes.length, i, j, position: new THREE.Vector3(x, hit.point.y, z), edges: [] };
+                    nodes.push(node);
+                    nodeCount++;
+                    ids.push(node.id);
+                }
+            }
+            origin.y = hit.point.y - 0.01;
+        }
+
+        if (ids.length > 0) columns.set(columnKey(i, j), ids);
+    }
+
+    // Links the nodes of column (i, j) and its neighbour (i + di, j + dj), both ways
+    function linkPair(i, j, di, dj) {
+        const ids = columns.get(columnKey(i, j));
+        const other = columns.get(columnKey(i + di, j + dj));
+        if (!ids || !other) return;
+        const limit = maxRise(cellSize * Math.hypot(di, dj));
+
+        ids.forEach((id) => {
+            const a = nodes[id];
+            other.forEach((otherId) => {
+                const b = nodes[otherId];
+                if (Math.abs(a.position.y - b.position.y) > limit) return;
+                if (!canWalk(a.position, b.position)) return;
+                const cost = a.position.distanceTo(b.position);
+                a.edges.push({ to: b.id, cost });
+                b.edges.push({ to: a.id, cost });
+            });
+        });
+    }
+
+    function linkColumn(i, j) {
+        NEIGHBOURS.forEach(([di, dj]) => linkPair(i, j, di, dj));
+    }
+
+    // Calls work(k) for k = 0 .. count - 1, yielding to the browser every `frameBudget` ms
+    async function runSliced(count, work, frameBudget, onProgress) {
+        let sliceStart = performance.now();
+        for (let k = 0; k < count; k++) {
+            work(k);
+            if (performance.now() - sliceStart > frameBudget) {
+                if (onProgress) onProgress(k / count);
+                await new Promise(requestAnimationFrame);
+                sliceStart = performance.now();
+            }
+        }
+    }
+
+    // Every column over `worldBounds`: probe them all, then link them all
+    function sampleAll(worldBounds, frameBudget, onProgress) {
+        needsFull = false;
+        dirty.clear();
+        nodes.length = 0;
+        nodeCount = 0;
+        columns.clear();
+        bounds.copy(worldBounds);
+        const size = bounds.getSize(new THREE.Vector3());
+        nx = Math.ceil(size.x / cellSize);
+        nz = Math.ceil(size.z / cellSize);
+
+        const cells = nx * nz;
+        return runSliced(cells * 2, (k) => {
+            const index = k % cells;
+            const pass = k < cells ? probeColumn : linkColumn;
+            pass(Math.floor(index / nz), index % nz);
+        }, frameBudget, onProgress);
+    }
+
+    // Only the invalidated columns: their nodes are dropped along with the links into them,
+    // then they are probed again and linked back to their neighbours
+    function sampleDirty(frameBudget, onProgress) {
+        const cells = [...dirty.values()];
+        const keys = new Set(dirty.keys());
+        dirty.clear();
+
+        const removed = new Set();
+        cells.forEach(([i, j]) => {
+            (columns.get(columnKey(i, j)) || []).forEach((id) => {
+                removed.add(id);
+                nodes[id] = null;
+            });
+            columns.delete(columnKey(i, j));
+        });
+        nodeCount -= removed.size;
+
+        const neighbours = new Set();
+        cells.forEach(([i, j]) => {
+            for (let di = -1; di <= 1; di++) {
+                for (let dj = -1; dj <= 1; dj++) {
+                    const key = columnKey(i + di, j + dj);
+                    if (!keys.has(key)) neighbours.add(key);
+                }
+            }
+        });
+        neighbours.forEach((key) => (columns.get(key) || []).forEach((id) => {
+            nodes[id].edges = nodes[id].edges.filter((edge) => !removed.has(edge.to));
+        }));
+
+        // Each pair once: forward from every dirty column, backward only from clean neighbours
+        const links = [];
+        cells.forEach(([i, j]) => NEIGHBOURS.forEach(([di, dj]) => {
+            links.push([i, j, di, dj]);
+            if (!keys.has(columnKey(i - di, j - dj))) links.push([i - di, j - dj, di, dj]);
+        }));
+
+        return runSliced(cells.length + links.length, (k) => {
+            if (k < cells.length) probeColumn(...cells[k]);
+            else linkPair(...links[k - cells.length]);
+        }, frameBudget, onProgress);
+    }
+
+    // Samples the graph over `worldBounds`, yielding to the browser every `frameBudget` ms.
+    // After invalidate(region) only the columns under the region are sampled again.
+    // `onProgress(fraction)` reports how far it got.
+    function build(worldBounds, { onProgress, frameBudget = 8 } = {}) {
+        if (building) return building;
+
+        building = (async () => {
+            const started = performance.now();
+            const full = needsFull || !bounds.equals(worldBounds);
+            const updated = dirty.size;
+            ready = false;
+            if (full) await sampleAll(worldBounds, frameBudget, onProgress);
+            else await sampleDirty(frameBudget, onProgress);
+
+            // Colliders that changed during the build leave it not ready for another pass
+            ready = !needsFull && dirty.size === 0;
+            building = null;
+            if (onProgress) onProgress(1);
+            const took = Math.round(performance.now() - started);
+            if (full) console.log(`Navigation graph: ${nodeCount} nodes in ${took} ms`);
+            else console.log(`Navigation graph: ${updated} columns updated in ${took} ms`);
+            return nodeCount;
+        })();
+        return building;
+    }
+
+    // Node closest to a feet position, strongly preferring the same storey
+    function nearestNode(position, searchCells = 3) {
+        const ci = Math.floor((position.x - bounds.min.x) / cellSize);
+        const cj = Math.floor((position.z - bounds.min.z) / cellSize);
+        let best = null, bestScore = Infinity;
+
+        for (let i = ci - searchCells; i <= ci + searchCells; i++) {
+            for (let j = cj - searchCells; j <= cj + searchCells; j++) {
+                const ids = columns.get(columnKey(i, j));
+                if (!ids) continue;
+                ids.forEach((id) => {
+                    const p = nodes[id].position;
+                    const score = Math.hypot(p.x - position.x, p.z - position.z) + Math.abs(p.y - position.y) * 4;
+                    if (score < bestScore) {
+                        bestScore = score;
+                        best = nodes[id];
+                    }
+                });
+            }
+        }
+        return best;
+    }
+
+    function aStar(start, goal) {
+        const cameFrom = new Map();
+        const cost = new Map([[start.id, 0]]);
+        const open = createHeap();
+        open.push(0, start.id);
+
+        while (open.size > 0) {
+            const current = open.pop();
+            if (current === goal.id) {
+                const path = [goal];
+                for (let id = goal.id; cameFrom.has(id);) {
+                    id = cameFrom.get(id);
+                    path.unshift(nodes[id]);
+                }
+                return path;
+            }
+
+            const base = cost.get(current);
+            nodes[current].edges.forEach((edge) => {
+                const next = base + edge.cost;
+                if (next >= (cost.get(edge.to) ?? Infinity)) return;
+                cost.set(edge.to, next);
+                cameFrom.set(edge.to, current);
+                open.push(next + nodes[edge.to].position.distanceTo(goal.position), edge.to);
+            });
+        }
+        return null;
+    }
+
+    // Drops grid zig-zags: keep skipping ahead while the walker could cut straight across
+    function smooth(points) {
+        const result = [points[0]];
+        let i = 0;
+        while (i < points.length - 1) {
+            let j = Math.min(points.length - 1, i + 24);
+            while (j > i + 1 && !canWalk(points[i], points[j])) j--;
+            result.push(points[j]);
+            i = j;
+        }
+        return result;
+    }
+
+    // Feet positions from `from` to `to`, or null when they are not connected
+    function findPath(from, to) {
+        if (!ready) return null;
+        const start = nearestNode(from);
+        const goal = nearestNode(to, 6);
+        if (!start || !goal) return null;
+
+        const path = aStar(start, goal);
+        if (!path) return null;
+
+        const points = [from.clone(), ...path.map((node) => node.position.clone())];
+        if (canWalk(points[points.length - 1], to)) points.push(to.clone());
+        return smooth(points);
+    }
+
+    // Colliders changed under `region` (a Box3; the whole campus without one). Paths wait for
+    // the next build(), which samples just the columns around the region again.
+    function invalidate(region = null) {
+        if (!region || needsFull) {
+            needsFull = true;
+        } else {
+            // One column of margin: capsule room and links reach into the neighbours
+            const i0 = Math.max(0, Math.floor((region.min.x - bounds.min.x) / cellSize) - 1);
+            const i1 = Math.min(nx - 1, Math.floor((region.max.x - bounds.min.x) / cellSize) + 1);
+            const j0 = Math.max(0, Math.floor((region.min.z - bounds.min.z) / cellSize) - 1);
+            const j1 = Math.min(nz - 1, Math.floor((region.max.z - bounds.min.z) / cellSize) + 1);
+            for (let i = i0; i <= i1; i++) {
+                for (let j = j0; j <= j1; j++) dirty.set(columnKey(i, j), [i, j]);
+            }
+            if (dirty.size === 0) return;
+        }
+        ready = false;
+    }
+
+    return {
+        build,
+        invalidate,
+        findPath,
+        nearestNode,
+        isReady: () => ready,
+        isBuilding: () => building !== null,
+        getStats: () => ({ nodes: nodeCount, columns: columns.size, dirty: dirty.size, cellSize })
+    };
+}
+
+// --------------------- Turn-by-turn ---------------------
+const FLOOR_CHANGE = 1.5; // Height change (m) that counts as changing storey
+const MIN_LEG = 2;        // Shorter legs are folded into the next turn
+
+function describeTurn(angle) {
+    const degrees = THREE.MathUtils.radToDeg(Math.abs(angle));
+    const side = angle < 0 ? 'right' : 'left';
+    if (degrees < 20) return 'Continue straight';
+    if (degrees < 60) return `Bear ${side}`;
+    if (degrees < 120) return `Turn ${side}`;
+    if (degrees < 165) return `Turn sharp ${side}`;
+    return 'Turn around';
+}
+
+// [{ text, params, index }] for a path from findPath(); `index` is the point the step starts
+// at. `text` is an English template for t() (src/i18n.js), e.g. 'Turn left, {metres} m';
+// the last step's {destination} is left for the caller to fill in.
+export function describeRoute(points) {
+    const steps = [];
+    let heading = null;
+
+    for (let k = 0; k < points.length - 1; k++) {
+        const a = points[k], b = points[k + 1];
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        const climb = b.y - a.y;
+        const next = Math.atan2(b.x - a.x, -(b.z - a.z));
+
+        if (Math.abs(climb) >= FLOOR_CHANGE) {
+            steps.push({
+                text: climb > 0 ? 'Take the stairs up {metres} m' : 'Take the stairs down {metres} m',
+                params: { metres: Math.round(Math.abs(climb)) },
+                index: k
+            });
+            heading = next;
+            continue;
+        }
+        if (length < MIN_LEG) continue;
+
+        const last = steps[steps.length - 1];
+        let verb = 'Walk ahead';
+        if (heading !== null) {
+            // Headings run clockwise from -Z, so this turn is positive to the left
+            verb = describeTurn(Math.atan2(Math.sin(heading - next), Math.cos(heading - next)));
+        }
+        if (verb === 'Continue straight' && last && last.distance !== undefined) {
+            last.distance += length;
+        } else {
+            steps.push({ verb, distance: length, index: k });
+        }
+        heading = next;
+    }
+
+    steps.forEach((step) => {
+        if (step.distance === undefined) return;
+        step.text = `${step.verb}, {metres} m`;
+        step.params = { metres: Math.round(step.distance) };
+    });
+    steps.push({ text: 'Arrive at {destination}', params: {}, index: points.length - 1 });
+    return steps.map(({ text, params, index }) => ({ text, params, index }));
+}
@@ -0,0 +1,235 @@
+import * as THREE from 'three';
+
+// --------------------- Rendering Quality ---------------------
+// Low/Medium/High/Ultra presets plus an automatic mode that watches frame times and steps
+// between them. The choice is remembered in localStorage. Antialiasing can only be picked
+// when the WebGL context is created, so it follows the stored choice on the next load.
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const QUALITY_PRESETS = {
+    low: {
+        label: 'Low',
+        antialias: false,
+        pixelRatio: 0.75,
+        shadows: false,
+        shadowMapSize: 512,
+        envMapSize: 128,
+        toneMapping: THREE.NoToneMapping,
+        drawDistance: 0.4,   // Fraction of the manifest's camera.far
+        lodScale: 0.5        // Multiplies chunk streaming distances
+    },
+    medium: {
+        label: 'Medium',
+        antialias: false,
+        pixelRatio: 1,
+        shadows: true,
+        shadowMapSize: 1024,
+        envMapSize: 256,
+        toneMapping: THREE.NoToneMapping,
+        drawDistance: 0.7,
+        lodScale: 0.75
+    },
+    high: {
+        label: 'High',
+        antialias: true,
+        pixelRatio: 1.5,
+        shadows: true,
+        shadowMapSize: 2048,
+        envMapSize: 512,
+        toneMapping: THREE.ACESFilmicToneMapping,
+        drawDistance: 1,
+        lodScale: 1
+    },
+    ultra: {
+        label: 'Ultra',
+        antialias: true,
+        pixelRatio: 2,
+        shadows: true,
+        shadowMapSize: 4096,
+        envMapSize: 1024,
+        toneMapping: THREE.ACESFilmicToneMapping,
+        drawDistance: 1.5,
+        lodScale: 1.5
+    }
+};
+
+const STORAGE_KEY = 'campusViewer.quality';
+
+// Frame-time governor for auto mode
+const SAMPLE_WINDOW = 2;        // Seconds averaged per measurement
+const SLOW_FRAME = 1 / 30;      // Average frame time that counts as struggling
+const FAST_FRAME = 1 / 55;      // Average frame time with headroom to spare
+const SLOW_WINDOWS = 2;         // Struggling windows in a row before stepping down
+const FAST_WINDOWS = 5;         // Fast windows in a row before stepping up
+const UPGRADE_COOLDOWN = 30;    // Seconds after stepping down before stepping up again
+const AUTO_MAX_LEVEL = 'high';  // Auto mode never picks Ultra
+
+// Stored mode: 'auto' or a preset name
+export function loadQualityMode() {
+    try {
+        const stored = localStorage.getItem(STORAGE_KEY);
+        if (stored === 'auto' || QUALITY_PRESETS[stored]) return stored;
+    } catch (error) {
+        // Storage can be blocked (private mode); fall through to the default
+    }
+    return 'auto';
+}
+
+function saveQualityMode(mode) {
+    try {
+        localStorage.setItem(STORAGE_KEY, mode);
+    } catch (error) {
+        console.warn('Could not save the quality setting:', error);
+    }
+}
+
+// Preset auto mode starts from: touch devices begin a step lower
+function getAutoStartLevel() {
+    return window.matchMedia('(pointer: coarse)').matches ? 'medium' : 'high';
+}
+
+// Preset to create the renderer with
+export function getInitialPreset(mode = loadQualityMode()) {
+    return QUALITY_PRESETS[mode === 'auto' ? getAutoStartLevel() : mode];
+}
+
+export function createQuality({ renderer, scene, camera, baseFar, onChange }) {
+    let mode = loadQualityMode();
+    let level = mode === 'auto' ? getAutoStartLevel() : mode;
+
+    let sampleTime = 0;
+    let sampleFrames = 0;
+    let slowWindows = 0;
+    let fastWindows = 0;
+    let sinceDowngrade = UPGRADE_COOLDOWN;
+    const listeners = [];
+
+    function apply() {
+        const preset = QUALITY_PRESETS[level];
+
+        // A VR headset sizes its own framebuffer; the canvas catches up on the next change
+        if (!renderer.xr.isPresenting) {
+            renderer.setPixelRatio(Math.min(window.devicePixelRatio, preset.pixelRatio));
+            renderer.setSize(window.innerWidth, window.innerHeight);
+        }
+        renderer.toneMapping = preset.toneMapping;
+
+        renderer.shadowMap.enabled = preset.shadows;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        scene.traverse((object) => {
+            if (!object.isLight || !object.shadow) return;
+            object.shadow.mapSize.set(preset.shadowMapSize, preset.shadowMapSize);
+            // Shadow maps are reallocated at the new size on the next render
+            if (object.shadow.map) {
+                object.shadow.map.dispose();
+                object.shadow.map = null;
+            }
+        });
+
+        camera.far = baseFar * preset.drawDistance;
+        camera.updateProjectionMatrix();
+
+        // Materials compile tone mapping and shadows into their shaders
+        scene.traverse((object) => {
+            if (!object.material) return;
+            (Array.isArray(object.material) ? object.material : [object.material]).forEach((material) => {
+                material.needsUpdate = true;
+            });
+        });
+
+        console.log(`Quality: ${preset.label}${mode === 'auto' ? ' (auto)' : ''}`);
+        if (onChange) onChange(preset);
+        notify();
+    }
+
+    function setMode(value) {
+        if (value !== 'auto' && !QUALITY_PRESETS[value]) {
+            console.warn(`Unknown quality mode: ${value}`);
+            return;
+        }
+        mode = value;
+        saveQualityMode(mode);
+        slowWindows = 0;
+        fastWindows = 0;
+        if (mode !== 'auto') level = mode;
+        apply();
+    }
+
+    function step(direction) {
+        const index = QUALITY_LEVELS.indexOf(level) + direction;
+        const maxIndex = QUALITY_LEVELS.indexOf(AUTO_MAX_LEVEL);
+        if (index < 0 || index > maxIndex) return;
+        level = QUALITY_LEVELS[index];
+        apply();
+    }
+
+    // Call once per frame; in auto mode steps the preset when frame times stay off target
+    function update(delta) {
+        if (mode !== 'auto') return;
+
+        sampleTime += delta;
+        sampleFrames++;
+        sinceDowngrade += delta;
+        if (sampleTime < SAMPLE_WINDOW) return;
+
+        const average = sampleTime / sampleFrames;
+        sampleTime = 0;
+        sampleFrames = 0;
+
+        // Hidden tabs report huge deltas; ignore those windows
+        if (average > 0.25) return;
+
+        slowWindows = average > SLOW_FRAME ? slowWindows + 1 : 0;
+        fastWindows = average < FAST_FRAME ? fastWindows + 1 : 0;
+
+        if (slowWindows >= SLOW_WINDOWS) {
+            slowWindows = 0;
+            sinceDowngrade = 0;
+            console.log(`Auto quality: ${(1 / average).toFixed(0)} fps - stepping down`);
+            step(-1);
+        } else if (fastWindows >= FAST_WINDOWS && sinceDowngrade >= UPGRADE_COOLDOWN) {
+            fastWindows = 0;
+            step(1);
+        }
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { mode, level, preset: QUALITY_PRESETS[level] };
+    }
+
+    return {
+        apply,
+        setMode,
+        update,
+        subscribe,
+        getState,
+        getPreset: () => QUALITY_PRESETS[level]
+    };
+}
+
+// Wires the #qualitySelect dropdown in index.html
+export function bindQualitySelect(quality, i18n) {
+    const select = document.getElementById('qualitySelect');
+    if (!select) return;
+    const { t } = i18n;
+
+    function render(state) {
+        select.value = state.mode;
+        select.options[0].textContent = state.mode === 'auto' ? t('Auto ({preset})', { preset: t(state.preset.label) }) : t('Auto');
+    }
+
+    select.addEventListener('change', () => quality.setMode(select.value));
+    quality.subscribe(render);
+    i18n.subscribe(() => render(quality.getState()));
+}
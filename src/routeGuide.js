@@ -0,0 +1,420 @@
+import * as THREE from 'three';
+import { describeRoute } from './navigation.js';
+import { localizeText } from './i18n.js';
+
+// --------------------- Route Guidance ---------------------
+// Named destinations come from a JSON file (positions on the floor of the room):
+//   { "destinations": [{ "id", "name", "position": [x, y, z] }] }
+// and from glTF extras: a node with a `destination` property is added at its world
+// position, named by the property (or the node name when it is just `true`). File names may
+// be one per language ({ "en", "hi" }, see src/i18n.js); ids and logs use the English one.
+// A route either follows the FPS player, re-planning when they stray from it, or joins
+// two destinations. It is drawn as a glowing line with arrows and a beacon at the end.
+
+const ROUTE_COLOR = 0x00e5ff;
+const ROUTE_LIFT = 0.15; // Height of the line above the floor
+const ARROW_SPACING = 4;
+const BEACON_HEIGHT = 6;
+const BUILD_PASSES = 3;  // Streaming can change colliders mid-build; a few passes catch up
+const UP = new THREE.Vector3(0, 1, 0);
+const _line = new THREE.Line3();
+const _closest = new THREE.Vector3();
+
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+export function createRouteGuide({ scene, navGraph, getWorldBounds, getPlayerFeet, onFollowStart, settings }) {
+    const destinations = new Map();
+    const listeners = [];
+
+    let status = 'idle'; // idle | building | rebuilding | unreachable | active | arrived
+    let buildProgress = 0;
+    let rebuilding = null;
+    let route = null;
+    let currentStep = 0;
+    let remaining = 0;
+    let checkTimer = 0;
+    let rerouteTimer = 0;
+    let elapsed = 0;
+
+    const group = new THREE.Group();
+    group.name = 'Route';
+    scene.add(group);
+
+    const lineMaterial = new THREE.MeshBasicMaterial({ color: ROUTE_COLOR, transparent: true, opacity: 0.85, depthWrite: false, toneMapped: false });
+    const beaconMaterial = new THREE.MeshBasicMaterial({
+        color: ROUTE_COLOR,
+        transparent: true,
+        opacity: 0.35,
+        side: THREE.DoubleSide,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        depthTest: false,
+        toneMapped: false
+    });
+    const arrowGeometry = new THREE.ConeGeometry(0.2, 0.45, 12);
+
+    async function load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Destination file ${url}: HTTP ${response.status}`);
+        const data = await response.json();
+
+        (data.destinations || []).forEach((entry, index) => {
+            if (!Array.isArray(entry.position)) {
+                throw new Error(`Destination ${index} (${entry.id || entry.name}) needs a position`);
+            }
+            const name = entry.name || entry.id;
+            const id = entry.id || slugify(localizeText(name));
+            destinations.set(id, { id, name, position: new THREE.Vector3().fromArray(entry.position) });
+        });
+        console.log(`Destinations loaded: ${destinations.size}`);
+        notify();
+        return destinations;
+    }
+
+    // Destinations marked in the campus model's glTF extras
+    function addFromModel(root) {
+        root.updateMatrixWorld(true);
+        let added = 0;
+        root.traverse((node) => {
+            const extra = node.userData && node.userData.destination;
+            if (!extra) return;
+            const name = typeof extra === 'string' ? extra : node.name;
+            const id = slugify(name);
+            destinations.set(id, { id, name, position: node.getWorldPosition(new THREE.Vector3()) });
+            added++;
+        });
+        if (added > 0) {
+            console.log(`Destinations from model extras: ${added}`);
+            notify();
+        }
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return {
+            status,
+            buildProgress,
+            destinations: [...destinations.values()],
+            destination: route ? route.destination : null,
+            following: route ? route.follow : false,
+            steps: route ? route.steps : [],
+            currentStep,
+            remaining
+        };
+    }
+
+    // Builds the navigation graph once the campus has loaded, or brings it up to date after
+    // colliders changed (buildStatus 'rebuilding'); resolves to whether it is usable
+    async function prepare(buildStatus = 'building') {
+        if (navGraph.isReady()) return true;
+        const bounds = getWorldBounds();
+        if (bounds.isEmpty()) {
+            console.warn('Navigation needs the campus model to finish loading');
+            return false;
+        }
+
+        const previous = status;
+        status = buildStatus;
+        buildProgress = 0;
+        notify();
+        for (let pass = 0; pass < BUILD_PASSES && !navGraph.isReady(); pass++) {
+            await navGraph.build(bounds, {
+                onProgress: (fraction) => {
+                    buildProgress = fraction;
+                    notify();
+                }
+            });
+        }
+        // clear() or a new route may have moved the status on meanwhile
+        if (status === buildStatus) status = previous === buildStatus ? 'idle' : previous;
+        notify();
+        if (!navGraph.isReady()) console.warn('Colliders kept changing while the navigation graph was building');
+        return navGraph.isReady();
+    }
+
+    // Colliders changed under the route (streamed chunks, collider edits): update the graph,
+    // then plan again from where the visitor is now. update() retries while it stays unusable.
+    function rebuild() {
+        if (rebuilding) return rebuilding;
+        const current = route;
+        rebuilding = prepare('rebuilding').then((usable) => {
+            rebuilding = null;
+            if (route !== current) return;
+            if (usable) {
+                status = 'active';
+                plan();
+            } else {
+                status = 'rebuilding';
+                notify();
+            }
+        });
+        return rebuilding;
+    }
+
+    // --------------------- Route drawing ---------------------
+    function hideRoute() {
+        group.children.slice().forEach((child) => {
+            group.remove(child);
+            if (child.geometry !== arrowGeometry) child.geometry.dispose();
+        });
+    }
+
+    function showRoute(points) {
+        hideRoute();
+
+        const lifted = points.map((p) => new THREE.Vector3(p.x, p.y + ROUTE_LIFT, p.z));
+        const path = new THREE.CurvePath();
+        for (let k = 0; k < lifted.length - 1; k++) {
+            path.add(new THREE.LineCurve3(lifted[k], lifted[k + 1]));
+        }
+        const length = path.getLength();
+
+        if (length > 0.01) {
+            const segments = Math.max(8, Math.ceil(length * 2));
+            group.add(new THREE.Mesh(new THREE.TubeGeometry(path, segments, 0.06, 6, false), lineMaterial));
+
+            // Breadcrumb arrows pointing the way
+            for (let d = ARROW_SPACING / 2; d < length; d += ARROW_SPACING) {
+                const t = d / length;
+                const arrow = new THREE.Mesh(arrowGeometry, lineMaterial);
+                arrow.position.copy(path.getPointAt(t));
+                arrow.quaternion.setFromUnitVectors(UP, path.getTangentAt(t));
+                group.add(arrow);
+            }
+        }
+
+        const end = points[points.length - 1];
+        const beacon = new THREE.Mesh(new THREE.CylinderGeometry(0.4, 0.4, BEACON_HEIGHT, 16, 1, true), beaconMaterial);
+        beacon.position.set(end.x, end.y + BEACON_HEIGHT / 2, end.z);
+        beacon.renderOrder = 10;
+        group.add(beacon);
+    }
+
+    // --------------------- Planning ---------------------
+    function plan() {
+        const start = route.follow ? getPlayerFeet() : route.origin.position;
+        if (!start) return false;
+
+        // Graph out of date: not a stranded visitor, update() rebuilds it and plans again
+        if (!navGraph.isReady()) {
+            status = 'rebuilding';
+            notify();
+            return false;
+        }
+
+        const points = navGraph.findPath(start, route.destination.position);
+        if (!points && route.points.length > 0) {
+            // Stranded off the graph (mid-jump, on a roof): keep the old route to walk back to
+            rerouteTimer = 0;
+            return false;
+        }
+        if (!points) {
+            status = 'unreachable';
+            hideRoute();
+            console.warn(`No walkable route to ${localizeText(route.destination.name)}`);
+            notify();
+            return false;
+        }
+
+        route.points = points;
+        route.steps = describeRoute(points);
+        route.lengths = [0];
+        for (let k = 1; k < points.length; k++) {
+            route.lengths.push(route.lengths[k - 1] + points[k - 1].distanceTo(points[k]));
+        }
+        currentStep = 0;
+        remaining = route.lengths[route.lengths.length - 1];
+        rerouteTimer = 0;
+        status = 'active';
+
+        showRoute(points);
+        notify();
+        return true;
+    }
+
+    // Routes to destination `toId`, from destination `fromId` or (null) the FPS player
+    async function navigate(toId, fromId = null) {
+        const destination = destinations.get(toId);
+        const origin = fromId === null ? null : destinations.get(fromId);
+        if (!destination || (fromId !== null && !origin)) {
+            console.warn(`Unknown destination: ${destination ? fromId : toId}`);
+            return false;
+        }
+
+        if (!origin && onFollowStart) onFollowStart();
+        const usable = await prepare();
+        if (!usable && getWorldBounds().isEmpty()) return false;
+
+        route = { destination, origin, follow: !origin, points: [], steps: [], lengths: [] };
+        return plan();
+    }
+
+    function clear() {
+        route = null;
+        status = 'idle';
+        currentStep = 0;
+        remaining = 0;
+        hideRoute();
+        notify();
+    }
+
+    // Where the player is along the route: distance off it, segment and metres to go
+    function locate(feet) {
+        let best = Infinity, segment = 0, along = 0;
+        for (let k = 0; k < route.points.length - 1; k++) {
+            _line.set(route.points[k], route.points[k + 1]);
+            _line.closestPointToPoint(feet, true, _closest);
+            const distance = _closest.distanceTo(feet);
+            if (distance < best) {
+                best = distance;
+                segment = k;
+                along = route.lengths[k] + route.points[k].distanceTo(_closest);
+            }
+        }
+        return { distance: best, segment, remaining: route.lengths[route.lengths.length - 1] - along };
+    }
+
+    function update(delta) {
+        elapsed += delta;
+        if (group.children.length > 0) lineMaterial.opacity = 0.65 + Math.sin(elapsed * 4) * 0.2;
+        if (route && !rebuilding && (status === 'rebuilding' || (status === 'active' && !navGraph.isReady()))) {
+            rebuild();
+            return;
+        }
+        if (!route || !route.follow || status !== 'active') return;
+
+        // Progress checks a few times a second are plenty
+        checkTimer += delta;
+        rerouteTimer += delta;
+        if (checkTimer < 0.25) return;
+        checkTimer = 0;
+
+        const feet = getPlayerFeet();
+        if (!feet) return;
+
+        if (feet.distanceTo(route.points[route.points.length - 1]) < settings.arrivalDistance) {
+            status = 'arrived';
+            currentStep = route.steps.length - 1;
+            remaining = 0;
+            console.log(`Arrived at ${localizeText(route.destination.name)}`);
+            notify();
+            return;
+        }
+
+        const where = locate(feet);
+        if (where.distance > settings.offRouteDistance) {
+            if (rerouteTimer >= settings.rerouteInterval) {
+                console.log(`Off route by ${where.distance.toFixed(1)} m - recalculating`);
+                plan();
+            }
+            return;
+        }
+
+        let step = 0;
+        while (step + 1 < route.steps.length && route.steps[step + 1].index <= where.segment) step++;
+        if (step !== currentStep || Math.abs(where.remaining - remaining) >= 1) {
+            currentStep = step;
+            remaining = where.remaining;
+            notify();
+        }
+    }
+
+    return {
+        load,
+        addFromModel,
+        subscribe,
+        prepare,
+        navigate,
+        clear,
+        update,
+        getState,
+        getDestinations: () => [...destinations.values()],
+        isActive: () => route !== null
+    };
+}
+
+// Wires the #navPanel markup in index.html to a route guide
+export function bindNavigationPanel(guide, i18n) {
+    const { t, localize } = i18n;
+    const panel = document.getElementById('navPanel');
+    if (!panel) return;
+
+    const fromSelect = document.getElementById('navFrom');
+    const toSelect = document.getElementById('navTo');
+    const status = document.getElementById('navStatus');
+    const stepList = document.getElementById('navSteps');
+    let destinationCount = -1;
+    let language = null;
+
+    document.getElementById('navBtn').addEventListener('click', () => {
+        const open = panel.classList.toggle('show');
+        if (open) guide.prepare();
+    });
+    document.getElementById('navCloseBtn').addEventListener('click', () => panel.classList.remove('show'));
+    document.getElementById('navClearBtn').addEventListener('click', () => guide.clear());
+    document.getElementById('navGoBtn').addEventListener('click', () => {
+        if (!toSelect.value) return;
+        guide.navigate(toSelect.value, fromSelect.value || null);
+    });
+
+    function fillSelect(select, destinations, firstLabel) {
+        const selected = select.value;
+        const first = document.createElement('option');
+        first.value = '';
+        first.textContent = firstLabel;
+        select.replaceChildren(first, ...destinations.map((destination) => {
+            const option = document.createElement('option');
+            option.value = destination.id;
+            option.textContent = localize(destination.name);
+            return option;
+        }));
+        select.value = selected;
+    }
+
+    function render(state) {
+        if (state.destinations.length !== destinationCount || i18n.getLanguage() !== language) {
+            destinationCount = state.destinations.length;
+            language = i18n.getLanguage();
+            fillSelect(fromSelect, state.destinations, t('My position'));
+            fillSelect(toSelect, state.destinations, t('Choose a destination'));
+        }
+
+        const destination = state.destination ? localize(state.destination.name) : '';
+        const messages = {
+            idle: '',
+            building: t('Mapping walkable areas… {percent}%', { percent: Math.round(state.buildProgress * 100) }),
+            rebuilding: t('Updating the route… {percent}%', { percent: Math.round(state.buildProgress * 100) }),
+            unreachable: destination ? t('No walkable route to {destination}', { destination }) : '',
+            active: destination ? t('{metres} m to {destination}', { metres: Math.round(state.remaining), destination }) : '',
+            arrived: destination ? t('You have arrived at {destination}', { destination }) : ''
+        };
+        status.textContent = messages[state.status];
+
+        stepList.replaceChildren(...(state.status === 'active' || state.status === 'arrived' ? state.steps : []).map((step, index) => {
+            const item = document.createElement('li');
+            item.textContent = t(step.text, { ...step.params, destination });
+            if (state.following) {
+                item.classList.toggle('done', index < state.currentStep);
+                item.classList.toggle('current', index === state.currentStep);
+            }
+            return item;
+        }));
+    }
+
+    guide.subscribe((state) => {
+        render(state);
+        if (!['idle', 'building', 'rebuilding'].includes(state.status)) panel.classList.add('show');
+    });
+    i18n.subscribe(() => render(guide.getState()));
+}
@@ -0,0 +1,117 @@
+// --------------------- Scene Manifest ---------------------
+// Everything campus-specific lives in a JSON manifest under public/scenes/, picked with
+// ?scene=<name> (default: campus). Missing keys fall back to DEFAULT_MANIFEST, so a
+// manifest for a building variant only needs what differs, e.g.
+//   { "name": "Library Annex", "model": "/annex.glb", "spawn": { "position": [0, 0, 5] } }
+
+export const DEFAULT_SCENE = 'campus';
+
+export const DEFAULT_MANIFEST = {
+    name: 'G.L. Bajaj Institutions',
+    model: '/model.glb',
+    environment: '/sky.exr',              // Equirectangular EXR; null for a plain background
+    colliders: null,                      // Collider editor file; null = next to the model (/model.colliders.json)
+    dracoDecoderPath: '/draco/',          // Served from three's bundled decoder (see vite.config.js)
+    analyticsEndpoint: null,              // POST URL for opt-in visit analytics; null = kept in the browser (src/analytics.js)
+    camera: {
+        fov: 40,
+        near: 0.1,
+        far: 1000,
+        position: [250, 20, 0],           // Initial orbit view
+        target: [0, 1, 0]
+    },
+    spawn: {
+        position: [150, -18.5, 0],        // FPS players are dropped onto the floor below this
+        killPlaneY: null,                 // null = model bottom minus killPlaneMargin
+        killPlaneMargin: 20,
+        maxSpawnDrop: 100
+    },
+    movement: {
+        walkSpeed: 4,
+        runSpeed: 8,
+        gravity: -20,
+        jumpStrength: 6,
+        maxBunnyHop: 5,
+        maxStepHeight: 0.45,
+        maxSlopeAngle: 46,
+        radius: 0.35,
+        height: 1.8,
+        eyeHeight: 1.6,
+        crouchSpeed: 1,
+        crouchDrop: 0.7                   // How far crouching lowers the eye and shortens the capsule
+    },
+    data: {
+        tour: '/tour.json',
+        hotspots: '/hotspots.json',
+        destinations: '/destinations.json'
+    },
+    streaming: null                       // Detailed chunks over a coarse `model` (see src/streaming.js)
+};
+
+const VECTOR_KEYS = [['camera', 'position'], ['camera', 'target'], ['spawn', 'position']];
+
+// Manifest URL for the ?scene= parameter; names are limited to file-name characters
+export function getManifestUrl(search = window.location.search) {
+    const scene = new URLSearchParams(search).get('scene') || DEFAULT_SCENE;
+    if (!/^[\w-]+$/.test(scene)) throw new Error(`Invalid scene name: ${scene}`);
+    return `/scenes/${scene}.json`;
+}
+
+// Defaults overlaid with `overrides`, one level deep for the grouped sections
+function mergeManifest(overrides) {
+    const manifest = { ...DEFAULT_MANIFEST, ...overrides };
+    Object.keys(DEFAULT_MANIFEST).forEach((key) => {
+        const base = DEFAULT_MANIFEST[key];
+        if (base && typeof base === 'object' && !Array.isArray(base)) {
+            manifest[key] = { ...base, ...(overrides[key] || {}) };
+        }
+    });
+    return manifest;
+}
+
+function validateManifest(manifest, url) {
+    if (typeof manifest.model !== 'string' || !manifest.model) {
+        throw new Error(`Scene manifest ${url}: "model" must be a path`);
+    }
+    if (manifest.colliders !== null && (typeof manifest.colliders !== 'string' || !manifest.colliders)) {
+        throw new Error(`Scene manifest ${url}: "colliders" must be a path or null`);
+    }
+    if (manifest.analyticsEndpoint !== null && (typeof manifest.analyticsEndpoint !== 'string' || !manifest.analyticsEndpoint)) {
+        throw new Error(`Scene manifest ${url}: "analyticsEndpoint" must be a URL or null`);
+    }
+    VECTOR_KEYS.forEach(([section, key]) => {
+        const value = manifest[section][key];
+        if (!Array.isArray(value) || value.length !== 3 || value.some((n) => !Number.isFinite(n))) {
+            throw new Error(`Scene manifest ${url}: "${section}.${key}" must be [x, y, z]`);
+        }
+    });
+    Object.entries(manifest.movement).forEach(([key, value]) => {
+        if (!Number.isFinite(value)) throw new Error(`Scene manifest ${url}: "movement.${key}" must be a number`);
+    });
+    if (manifest.streaming) {
+        (manifest.streaming.chunks || []).forEach((chunk, index) => {
+            const levels = chunk.levels || [];
+            if (!chunk.id || levels.length === 0 || levels.some((level) => typeof level.url !== 'string' || !Number.isFinite(level.distance))) {
+                throw new Error(`Scene manifest ${url}: streaming chunk ${index} needs an id and levels of { url, distance }`);
+            }
+        });
+        manifest.streaming.chunks = manifest.streaming.chunks || [];
+    }
+}
+
+// Loads and validates a manifest. Falls back to the defaults (with a console error) when
+// the file is missing or broken, so a bad link still shows the default campus.
+export async function loadSceneManifest(url = null) {
+    try {
+        url = url || getManifestUrl();
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Scene manifest ${url}: HTTP ${response.status}`);
+        const manifest = mergeManifest(await response.json());
+        validateManifest(manifest, url);
+        console.log(`Scene manifest loaded: ${manifest.name} (${url})`);
+        return manifest;
+    } catch (error) {
+        console.error('Scene manifest error - using the default scene:', error);
+        return mergeManifest({});
+    }
+}
@@ -0,0 +1,230 @@
+import * as THREE from 'three';
+
+// --------------------- Chunk Streaming ---------------------
+// The manifest's `model` is a coarse campus that loads first; detailed chunks then stream
+// in over it, described in the manifest's `streaming` section:
+//   "streaming": { "maxConcurrent": 2, "keepRadius": 40, "unloadDelay": 10,
+//     "chunks": [{ "id": "library", "bounds": [[x, y, z], [x, y, z]],
+//                  "levels": [{ "url": "/chunks/library_lod1.glb", "distance": 200 },
+//                             { "url": "/chunks/library_lod0.glb", "distance": 70 }] }] }
+// Levels run from coarse to fine; a level is used while the camera is within `distance`
+// of the chunk's bounds and the chunk is in view. Within `keepRadius` the finest level
+// stays loaded even off screen, so the walker always collides with detailed geometry.
+// The coarse-model node tagged with the chunk id (glTF extras `chunk`, or its name) is
+// hidden while a detailed level is shown; `bounds` default to that node's bounds.
+// Bounds and chunk files use the coordinates of the coarse model as exported.
+
+const HYSTERESIS = 1.15;     // A level is dropped only this far past its distance
+const UPDATE_INTERVAL = 0.5; // Seconds between visibility checks
+
+const _frustum = new THREE.Frustum();
+const _projection = new THREE.Matrix4();
+const _viewer = new THREE.Vector3();
+
+function disposeObject(root) {
+    root.traverse((node) => {
+        if (!node.isMesh) return;
+        node.geometry.dispose();
+        const materials = Array.isArray(node.material) ? node.material : [node.material];
+        materials.forEach((material) => {
+            Object.values(material).forEach((value) => {
+                if (value && value.isTexture) value.dispose();
+            });
+            material.dispose();
+        });
+    });
+}
+
+export function createChunkStreamer({ scene, camera, loader, settings, onChunkShown, onChunkHidden }) {
+    const maxConcurrent = settings.maxConcurrent ?? 2;
+    const keepRadius = settings.keepRadius ?? 40;
+    const unloadDelay = settings.unloadDelay ?? 10;
+
+    const chunks = settings.chunks.map((entry) => ({
+        id: entry.id,
+        levels: entry.levels,
+        authoredBounds: entry.bounds || null,
+        bounds: new THREE.Box3(),
+        coarseNode: null,
+        coarseVisible: true,
+        level: -1,          // Level shown (-1 = coarse model only)
+        root: null,
+        loading: -1,        // Level being downloaded
+        wanted: -1,         // Level the last update asked for
+        failed: new Set(),  // Levels that failed to load are not retried
+        lowerFor: 0,        // Seconds the chunk has wanted a lower level
+        enabled: false
+    }));
+    const coarseOwners = new Map();
+    const offset = new THREE.Vector3();
+    let active = 0;
+    let timer = UPDATE_INTERVAL;
+    let distanceScale = 1;
+
+    // Links chunks to the coarse model. `root.position` is the offset applied to the
+    // coarse model (e.g. recentring), which the chunks get too.
+    function setCoarseModel(root) {
+        root.updateMatrixWorld(true);
+        offset.copy(root.position);
+
+        const byId = new Map(chunks.map((chunk) => [chunk.id, chunk]));
+        root.traverse((node) => {
+            const id = (node.userData && node.userData.chunk) || node.name;
+            const chunk = byId.get(id);
+            if (chunk && !chunk.coarseNode) {
+                chunk.coarseNode = node;
+                chunk.coarseVisible = node.visible;
+                coarseOwners.set(node, chunk.id);
+            }
+        });
+
+        chunks.forEach((chunk) => {
+            if (chunk.authoredBounds) {
+                chunk.bounds.min.fromArray(chunk.authoredBounds[0]).add(offset);
+                chunk.bounds.max.fromArray(chunk.authoredBounds[1]).add(offset);
+            } else if (chunk.coarseNode) {
+                chunk.bounds.setFromObject(chunk.coarseNode);
+            }
+            chunk.enabled = !chunk.bounds.isEmpty();
+            if (!chunk.enabled) console.warn(`Chunk ${chunk.id} has no bounds and no coarse node - skipped`);
+        });
+        console.log(`Streaming: ${chunks.filter((chunk) => chunk.enabled).length} chunks`);
+    }
+
+    // Chunk id whose coarse node contains `object`, or null
+    function chunkIdFor(object) {
+        for (let node = object; node; node = node.parent) {
+            if (coarseOwners.has(node)) return coarseOwners.get(node);
+        }
+        return null;
+    }
+
+    // Finest level wanted at `distance`, with hysteresis on the levels already reached
+    function desiredLevel(chunk, distance, visible) {
+        if (distance <= keepRadius) return chunk.levels.length - 1;
+        if (!visible) return -1;
+
+        let level = -1;
+        chunk.levels.forEach((entry, index) => {
+            const distanceLimit = entry.distance * distanceScale;
+            const limit = index <= chunk.level ? distanceLimit * HYSTERESIS : distanceLimit;
+            if (distance <= limit) level = index;
+        });
+        return level;
+    }
+
+    // Drops the detailed root; its colliders and picking go with it
+    function removeRoot(chunk) {
+        onChunkHidden(chunk);
+        scene.remove(chunk.root);
+        disposeObject(chunk.root);
+        chunk.root = null;
+    }
+
+    function show(chunk, level, root) {
+        if (chunk.root) removeRoot(chunk);
+        chunk.root = root;
+        chunk.level = level;
+        root.position.copy(offset);
+        scene.add(root);
+        root.updateMatrixWorld(true);
+        if (chunk.coarseNode) chunk.coarseNode.visible = false;
+        onChunkShown(chunk, root);
+        console.log(`Chunk ${chunk.id}: level ${level}`);
+    }
+
+    function hide(chunk) {
+        if (!chunk.root) return;
+        removeRoot(chunk);
+        chunk.level = -1;
+        if (chunk.coarseNode) chunk.coarseNode.visible = chunk.coarseVisible;
+        console.log(`Chunk ${chunk.id}: coarse`);
+    }
+
+    function load(chunk, level) {
+        chunk.loading = level;
+        active++;
+
+        loader.load(chunk.levels[level].url,
+            (gltf) => {
+                active--;
+                chunk.loading = -1;
+                // The visitor may have moved on while it downloaded: only show what is still wanted
+                if (!chunk.enabled || level !== chunk.wanted || level === chunk.level) {
+                    disposeObject(gltf.scene);
+                    console.log(`Chunk ${chunk.id}: level ${level} arrived after it was needed - dropped`);
+                    return;
+                }
+                show(chunk, level, gltf.scene);
+            },
+            undefined,
+            (error) => {
+                active--;
+                chunk.loading = -1;
+                chunk.failed.add(level);
+                console.error(`Chunk ${chunk.id} level ${level} failed:`, error);
+            }
+        );
+    }
+
+    function update(delta) {
+        timer += delta;
+        if (timer < UPDATE_INTERVAL) return;
+        const elapsed = timer;
+        timer = 0;
+
+        _projection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        _frustum.setFromProjectionMatrix(_projection);
+
+        // World position, so a camera parented to a VR rig streams around the headset
+        camera.getWorldPosition(_viewer);
+        const wanted = [];
+        chunks.forEach((chunk) => {
+            if (!chunk.enabled) return;
+
+            const distance = chunk.bounds.distanceToPoint(_viewer);
+            let level = desiredLevel(chunk, distance, _frustum.intersectsBox(chunk.bounds));
+            while (level >= 0 && chunk.failed.has(level)) level--;
+            chunk.wanted = level;
+
+            // Finer levels load straight away; coarser ones wait, so glancing away does not thrash
+            if (level < chunk.level) {
+                chunk.lowerFor += elapsed;
+                if (chunk.lowerFor < unloadDelay) return;
+            } else {
+                chunk.lowerFor = 0;
+            }
+
+            if (level === chunk.level || chunk.loading !== -1) return;
+            if (level === -1) hide(chunk);
+            else wanted.push({ chunk, level, distance });
+        });
+
+        // Nearest chunks first
+        wanted.sort((a, b) => a.distance - b.distance);
+        for (const { chunk, level } of wanted) {
+            if (active >= maxConcurrent) break;
+            load(chunk, level);
+        }
+    }
+
+    function getStats() {
+        return chunks.map((chunk) => ({
+            id: chunk.id,
+            level: chunk.level,
+            loading: chunk.loading,
+            distance: Number(chunk.bounds.distanceToPoint(camera.getWorldPosition(_viewer)).toFixed(1))
+        }));
+    }
+
+    return {
+        setCoarseModel,
+        chunkIdFor,
+        update,
+        // Scales every level distance, e.g. from the quality preset
+        setDistanceScale: (scale) => {
+            distanceScale = scale;
+        },
+        getStats
+    };
+}
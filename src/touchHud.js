@@ -0,0 +1,270 @@
+// --------------------- Touch HUD ---------------------
+// On-screen controls for touch screens (#touchHud in index.html). In FPS mode a touch on the
+// movement half of the view drops a floating joystick under the thumb and a touch on the other
+// half looks around; the buttons jump, sprint (hold), crouch and switch camera mode.
+// Shown when the primary pointer is coarse (finger) rather than by user agent; the ⚙ button
+// picks left-handed layout, button size, opacity and look sensitivity, saved in localStorage.
+
+export const DEFAULT_TOUCH_SETTINGS = {
+    visibility: 'auto',      // 'auto' (touch screens), 'on' or 'off'
+    leftHanded: false,       // Joystick on the right, buttons on the left
+    buttonScale: 1,          // 0.75 - 1.5
+    opacity: 0.8,            // 0.3 - 1
+    lookSensitivity: 0.005,  // Radians per pixel dragged
+    invertY: false
+};
+
+const STORAGE_KEY = 'campusViewer.touchHud';
+const JOYSTICK_RADIUS = 50;     // Knob travel (px) for full speed, before buttonScale
+
+const coarsePointer = window.matchMedia('(pointer: coarse)');
+
+// True when the main input is a finger; fine pointers (mouse, trackpad) use pointer lock
+export function prefersTouch() {
+    return coarsePointer.matches;
+}
+
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+        return { ...DEFAULT_TOUCH_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    } catch (error) {
+        console.warn('Ignoring unreadable touch settings:', error);
+        return { ...DEFAULT_TOUCH_SETTINGS };
+    }
+}
+
+function saveSettings(settings) {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save touch settings:', error);
+    }
+}
+
+// onMove(x, y) joystick in -1..1 (y forward); onLook(yaw, pitch) radians to turn by;
+// onAction(action, pressed) for 'jump', 'sprint', 'crouch' and 'toggleView';
+// isFirstPerson() gates the joystick and look, which orbit mode leaves to OrbitControls
+export function createTouchHud({ domElement, onMove, onLook, onAction, isFirstPerson, i18n }) {
+    const hud = document.getElementById('touchHud');
+    const base = document.getElementById('touchJoystick');
+    const knob = document.getElementById('touchJoystickKnob');
+    const settingsBtn = document.getElementById('touchSettingsBtn');
+    const buttons = [...hud.querySelectorAll('[data-action]')];
+
+    let settings = loadSettings();
+    let active = false;
+    let stick = null;   // { id, x, y } where the thumb landed
+    let look = null;    // { id, x, y } last position of the look finger
+    const listeners = [];
+
+    function isActive() {
+        return active;
+    }
+
+    function apply() {
+        const visible = settings.visibility === 'on' || (settings.visibility === 'auto' && prefersTouch());
+        if (visible !== active) {
+            active = visible;
+            if (!active) release();
+            console.log(`Touch controls ${active ? 'on' : 'off'}`);
+        }
+        hud.classList.toggle('show', active);
+        hud.classList.toggle('left-handed', settings.leftHanded);
+        hud.style.setProperty('--touch-scale', settings.buttonScale);
+        hud.style.setProperty('--touch-opacity', settings.opacity);
+        // The settings button stays reachable on touch hardware even with the HUD hidden
+        settingsBtn.classList.toggle('show', active || navigator.maxTouchPoints > 0);
+        notify();
+    }
+
+    function setSettings(changes) {
+        settings = { ...settings, ...changes };
+        saveSettings(settings);
+        apply();
+    }
+
+    function resetSettings() {
+        settings = { ...DEFAULT_TOUCH_SETTINGS };
+        saveSettings(settings);
+        apply();
+    }
+
+    // --------------------- Joystick & Look ---------------------
+    function isMoveSide(x) {
+        const leftHalf = x < window.innerWidth / 2;
+        return settings.leftHanded ? !leftHalf : leftHalf;
+    }
+
+    function placeJoystick(x, y) {
+        base.style.left = `${x}px`;
+        base.style.top = `${y}px`;
+        knob.style.transform = 'translate(-50%, -50%)';
+    }
+
+    function updateStick(x, y) {
+        const radius = JOYSTICK_RADIUS * settings.buttonScale;
+        let dx = x - stick.x;
+        let dy = y - stick.y;
+        const distance = Math.hypot(dx, dy);
+        if (distance > radius) {
+            dx = (dx / distance) * radius;
+            dy = (dy / distance) * radius;
+        }
+        knob.style.transform = `translate(calc(-50% + ${dx}px), calc(-50% + ${dy}px))`;
+        onMove(dx / radius, -dy / radius);
+    }
+
+    function endStick() {
+        if (!stick) return;
+        stick = null;
+        base.classList.remove('floating');
+        base.style.left = '';
+        base.style.top = '';
+        knob.style.transform = 'translate(-50%, -50%)';
+        onMove(0, 0);
+    }
+
+    function release() {
+        endStick();
+        look = null;
+        buttons.forEach((button) => {
+            if (button.dataset.hold && button.classList.contains('pressed')) {
+                button.classList.remove('pressed');
+                onAction(button.dataset.action, false);
+            }
+        });
+    }
+
+    domElement.addEventListener('pointerdown', (e) => {
+        if (!active || e.pointerType === 'mouse' || !isFirstPerson()) return;
+
+        if (isMoveSide(e.clientX)) {
+            if (stick) return;
+            stick = { id: e.pointerId, x: e.clientX, y: e.clientY };
+            base.classList.add('floating');
+            placeJoystick(e.clientX, e.clientY);
+        } else if (!look) {
+            look = { id: e.pointerId, x: e.clientX, y: e.clientY };
+        } else {
+            return;
+        }
+        domElement.setPointerCapture(e.pointerId);
+    });
+
+    domElement.addEventListener('pointermove', (e) => {
+        if (stick && e.pointerId === stick.id) {
+            updateStick(e.clientX, e.clientY);
+        } else if (look && e.pointerId === look.id) {
+            const dx = e.clientX - look.x;
+            const dy = e.clientY - look.y;
+            look.x = e.clientX;
+            look.y = e.clientY;
+            const sensitivity = settings.lookSensitivity;
+            onLook(dx * sensitivity, dy * sensitivity * (settings.invertY ? -1 : 1));
+        }
+    });
+
+    const endPointer = (e) => {
+        if (stick && e.pointerId === stick.id) endStick();
+        if (look && e.pointerId === look.id) look = null;
+    };
+    domElement.addEventListener('pointerup', endPointer);
+    domElement.addEventListener('pointercancel', endPointer);
+
+    // --------------------- Buttons ---------------------
+    buttons.forEach((button) => {
+        const action = button.dataset.action;
+        button.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            button.setPointerCapture(e.pointerId);
+            button.classList.add('pressed');
+            onAction(action, true);
+        });
+        const up = (e) => {
+            e.preventDefault();
+            if (!button.classList.contains('pressed')) return;
+            button.classList.remove('pressed');
+            if (button.dataset.hold) onAction(action, false);
+        };
+        button.addEventListener('pointerup', up);
+        button.addEventListener('pointercancel', up);
+    });
+
+    // The camera button names the mode it switches to, in the current language
+    function updateLabel(button) {
+        if (!button.dataset.labelOn) return;
+        const on = button.classList.contains('active');
+        button.textContent = i18n.t(on ? button.dataset.labelOn : button.dataset.labelOff);
+    }
+
+    // Lit state for toggles (crouch) and the camera button's label
+    function setActionState(action, on) {
+        const button = buttons.find((entry) => entry.dataset.action === action);
+        if (!button) return;
+        button.classList.toggle('active', on);
+        updateLabel(button);
+    }
+
+    coarsePointer.addEventListener('change', apply);
+    window.addEventListener('blur', release);
+    i18n.subscribe(() => buttons.forEach(updateLabel));
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { active, settings: { ...settings } };
+    }
+
+    apply();
+
+    return {
+        isActive,
+        setSettings,
+        resetSettings,
+        setActionState,
+        subscribe,
+        getState
+    };
+}
+
+// Wires the ⚙ button and #touchSettingsPanel in index.html
+export function bindTouchSettingsPanel(touchHud) {
+    const panel = document.getElementById('touchSettingsPanel');
+    if (!panel) return;
+    const visibility = document.getElementById('touchVisibility');
+    const leftHanded = document.getElementById('touchLeftHanded');
+    const buttonScale = document.getElementById('touchButtonScale');
+    const opacity = document.getElementById('touchOpacity');
+    const lookSensitivity = document.getElementById('touchLookSensitivity');
+    const invertY = document.getElementById('touchInvertY');
+
+    document.getElementById('touchSettingsBtn').addEventListener('click', () => panel.classList.toggle('show'));
+    document.getElementById('touchSettingsCloseBtn').addEventListener('click', () => panel.classList.remove('show'));
+    document.getElementById('touchSettingsResetBtn').addEventListener('click', () => touchHud.resetSettings());
+
+    visibility.addEventListener('change', () => touchHud.setSettings({ visibility: visibility.value }));
+    leftHanded.addEventListener('change', () => touchHud.setSettings({ leftHanded: leftHanded.checked }));
+    buttonScale.addEventListener('input', () => touchHud.setSettings({ buttonScale: Number(buttonScale.value) }));
+    opacity.addEventListener('input', () => touchHud.setSettings({ opacity: Number(opacity.value) }));
+    // The slider runs 1-10; stored as radians per pixel
+    lookSensitivity.addEventListener('input', () => touchHud.setSettings({ lookSensitivity: Number(lookSensitivity.value) / 1000 }));
+    invertY.addEventListener('change', () => touchHud.setSettings({ invertY: invertY.checked }));
+
+    touchHud.subscribe(({ settings }) => {
+        visibility.value = settings.visibility;
+        leftHanded.checked = settings.leftHanded;
+        buttonScale.value = settings.buttonScale;
+        opacity.value = settings.opacity;
+        lookSensitivity.value = settings.lookSensitivity * 1000;
+        invertY.checked = settings.invertY;
+    });
+}
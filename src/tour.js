@@ -0,0 +1,219 @@
+import * as THREE from 'three';
+import { FADE_DURATION, fadeAlpha, fadeStep } from './accessibility.js';
+import { EASINGS } from './cameraTransition.js';
+
+// --------------------- Guided Campus Tour ---------------------
+// Stops come from a JSON file:
+//   { "flightDuration": 3, "autoplayDelay": 8,
+//     "stops": [{ "id", "title", "description", "camera": { "position": [x, y, z], "target": [x, y, z] } }] }
+// Titles and descriptions are plain strings or one per language ({ "en", "hi" }, see src/i18n.js).
+// The tour flies the camera between stops in both orbit and FPS mode; main.js owns the
+// controls and is told when a flight starts and ends. `getLookTarget` returns the point
+// the camera currently looks at, so flights start without a jump in orientation. With
+// isReducedMotion() true a flight becomes a fade to black, a jump and a fade back (onFade).
+
+function parseStop(stop, index) {
+    if (!stop.camera || !Array.isArray(stop.camera.position) || !Array.isArray(stop.camera.target)) {
+        throw new Error(`Tour stop ${index} (${stop.id || stop.title}) needs camera.position and camera.target`);
+    }
+    return {
+        id: stop.id || `stop-${index}`,
+        title: stop.title || `Stop ${index + 1}`,
+        description: stop.description || '',
+        position: new THREE.Vector3().fromArray(stop.camera.position),
+        target: new THREE.Vector3().fromArray(stop.camera.target)
+    };
+}
+
+export function createTour({ camera, getLookTarget, onFlightStart, onFlightEnd, isReducedMotion = () => false, onFade = null }) {
+    let stops = [];
+    let flightDuration = 3;
+    let autoplayDelay = 8;
+
+    let active = false;
+    let currentIndex = -1;
+    let autoplay = false;
+    let autoplayTimer = 0;
+
+    let flight = null;
+    const lookTarget = new THREE.Vector3();
+    const listeners = [];
+
+    async function load(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`Tour file ${url}: HTTP ${response.status}`);
+        const data = await response.json();
+
+        stops = (data.stops || []).map(parseStop);
+        if (data.flightDuration !== undefined) flightDuration = data.flightDuration;
+        if (data.autoplayDelay !== undefined) autoplayDelay = data.autoplayDelay;
+        console.log(`Tour loaded: ${stops.length} stops`);
+        notify();
+        return stops;
+    }
+
+    // `listener(state)` runs whenever the stop, flight or autoplay state changes
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return {
+            active,
+            autoplay,
+            flying: flight !== null,
+            index: currentIndex,
+            count: stops.length,
+            stop: stops[currentIndex] || null
+        };
+    }
+
+    function flyTo(index) {
+        if (stops.length === 0) return;
+        currentIndex = (index + stops.length) % stops.length;
+        const stop = stops[currentIndex];
+
+        // Start looking at whatever the camera looks at now
+        const fromTarget = getLookTarget().clone();
+
+        const distance = camera.position.distanceTo(stop.position);
+        const fade = isReducedMotion();
+        flight = {
+            stop,
+            fromPosition: camera.position.clone(),
+            fromTarget,
+            elapsed: 0,
+            fade,
+            duration: distance < 0.01 ? 0.01 : (fade ? FADE_DURATION : flightDuration),
+            // Long hops arc upwards so the camera clears buildings on the way
+            arcHeight: fade ? 0 : Math.min(distance * 0.2, 40)
+        };
+        autoplayTimer = 0;
+
+        if (onFlightStart) onFlightStart(stop);
+        notify();
+    }
+
+    function start(index = 0) {
+        if (stops.length === 0) {
+            console.warn('Tour has no stops');
+            return;
+        }
+        active = true;
+        flyTo(index);
+    }
+
+    function stop() {
+        if (!active) return;
+        const wasFlying = flight !== null;
+        active = false;
+        autoplay = false;
+        flight = null;
+        if (wasFlying && onFade) onFade(0);
+        if (wasFlying && onFlightEnd) onFlightEnd(null);
+        notify();
+    }
+
+    function next() {
+        if (!active) start(0);
+        else flyTo(currentIndex + 1);
+    }
+
+    function previous() {
+        if (!active) start(stops.length - 1);
+        else flyTo(currentIndex - 1);
+    }
+
+    function setAutoplay(enabled) {
+        autoplay = enabled;
+        autoplayTimer = 0;
+        if (autoplay && !active) start(0);
+        notify();
+    }
+
+    function update(delta) {
+        if (!active) return;
+
+        if (flight) {
+            flight.elapsed += delta;
+            const t = Math.min(flight.elapsed / flight.duration, 1);
+            // Faded jumps cut to the stop while the screen is black
+            const eased = flight.fade ? fadeStep(t) : EASINGS.easeInOutCubic(t);
+            if (flight.fade && onFade) onFade(fadeAlpha(t));
+
+            camera.position.lerpVectors(flight.fromPosition, flight.stop.position, eased);
+            camera.position.y += Math.sin(Math.PI * eased) * flight.arcHeight;
+            lookTarget.lerpVectors(flight.fromTarget, flight.stop.target, eased);
+            camera.lookAt(lookTarget);
+
+            if (t >= 1) {
+                const arrived = flight.stop;
+                flight = null;
+                if (onFlightEnd) onFlightEnd(arrived);
+                notify();
+            }
+            return;
+        }
+
+        if (autoplay) {
+            autoplayTimer += delta;
+            if (autoplayTimer >= autoplayDelay) next();
+        }
+    }
+
+    return {
+        load,
+        subscribe,
+        start,
+        stop,
+        next,
+        previous,
+        setAutoplay,
+        toggleAutoplay: () => setAutoplay(!autoplay),
+        update,
+        getState,
+        isActive: () => active,
+        isFlying: () => flight !== null,
+        getStops: () => stops
+    };
+}
+
+// Wires the #tourPanel markup in index.html to a tour
+export function bindTourPanel(tour, i18n) {
+    const panel = document.getElementById('tourPanel');
+    if (!panel) return;
+
+    const step = document.getElementById('tourStep');
+    const title = document.getElementById('tourTitle');
+    const description = document.getElementById('tourDescription');
+    const autoplayBtn = document.getElementById('tourAutoplayBtn');
+
+    document.getElementById('tourBtn').addEventListener('click', () => {
+        if (tour.isActive()) tour.stop();
+        else tour.start(0);
+    });
+    document.getElementById('tourPrevBtn').addEventListener('click', () => tour.previous());
+    document.getElementById('tourNextBtn').addEventListener('click', () => tour.next());
+    document.getElementById('tourCloseBtn').addEventListener('click', () => tour.stop());
+    autoplayBtn.addEventListener('click', () => tour.toggleAutoplay());
+
+    function render(state) {
+        panel.classList.toggle('show', state.active);
+        if (!state.stop) return;
+
+        step.textContent = `${state.index + 1} / ${state.count}`;
+        title.textContent = i18n.localize(state.stop.title);
+        description.textContent = i18n.localize(state.stop.description);
+        autoplayBtn.textContent = state.autoplay ? `❚❚ ${i18n.t('Pause')}` : `▶ ${i18n.t('Autoplay')}`;
+        autoplayBtn.classList.toggle('active', state.autoplay);
+    }
+
+    tour.subscribe(render);
+    i18n.subscribe(() => render(tour.getState()));
+}
@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+
+// --------------------- Shareable View Links ---------------------
+// A view is stored in the URL hash so it survives copy/paste without reloading:
+//   #mode=orbit&pos=250,20,0&target=0,1,0
+//   #mode=fps&pos=150,-16.9,0&look=90,-10          (look = yaw, pitch in degrees)
+
+const _euler = new THREE.Euler(0, 0, 0, 'YXZ');
+
+function formatVector(vector) {
+    return vector.toArray().map((n) => Number(n.toFixed(2))).join(',');
+}
+
+function parseNumbers(text, count) {
+    if (!text) return null;
+    const values = text.split(',').map(Number);
+    if (values.length !== count || values.some((n) => !Number.isFinite(n))) return null;
+    return values;
+}
+
+// Hash string (without '#') for the current camera
+export function encodeView({ mode, camera, target }) {
+    const params = new URLSearchParams();
+    params.set('mode', mode);
+    params.set('pos', formatVector(camera.position));
+
+    if (mode === 'orbit') {
+        params.set('target', formatVector(target));
+    } else {
+        _euler.setFromQuaternion(camera.quaternion, 'YXZ');
+        const yaw = THREE.MathUtils.radToDeg(_euler.y).toFixed(1);
+        const pitch = THREE.MathUtils.radToDeg(_euler.x).toFixed(1);
+        params.set('look', `${yaw},${pitch}`);
+    }
+
+    // URLSearchParams escapes commas; they are safe in a hash and easier to read
+    return params.toString().replace(/%2C/g, ',');
+}
+
+// { mode, position, target | yaw + pitch (radians) } from a location hash, or null
+export function parseView(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const mode = params.get('mode');
+    const position = parseNumbers(params.get('pos'), 3);
+    if ((mode !== 'orbit' && mode !== 'fps') || !position) return null;
+
+    const view = { mode, position: new THREE.Vector3().fromArray(position) };
+
+    if (mode === 'orbit') {
+        const target = parseNumbers(params.get('target'), 3);
+        if (!target) return null;
+        view.target = new THREE.Vector3().fromArray(target);
+    } else {
+        const look = parseNumbers(params.get('look'), 2) || [0, 0];
+        view.yaw = THREE.MathUtils.degToRad(look[0]);
+        view.pitch = THREE.MathUtils.clamp(THREE.MathUtils.degToRad(look[1]), -Math.PI / 2, Math.PI / 2);
+    }
+    return view;
+}
+
+// Full shareable URL for a hash produced by encodeView()
+export function buildViewUrl(hash) {
+    const url = new URL(window.location.href);
+    url.hash = hash;
+    return url.toString();
+}
@@ -0,0 +1,354 @@
+import * as THREE from 'three';
+
+// --------------------- VR Mode ---------------------
+// WebXR walkthrough on the existing renderer and scene. While presenting, the camera sits in
+// a rig standing at the player's feet: the headset moves the camera inside the rig and the
+// controllers move the rig.
+//   left thumbstick              walk where you look
+//   right thumbstick left/right  snap turn
+//   right thumbstick forward     aim a teleport arc, let go to jump there (or hold a trigger)
+// Walking goes through collisionWorld.moveWalker with the FPS capsule and step/slope rules,
+// so headset visitors meet the same walls, stairs and gravity as the desktop walker.
+// Without WebXR (or a headset) the mode stays unsupported and main.js hides its button; on
+// desktop the Immersive Web Emulator browser extension provides a virtual headset.
+
+export const DEFAULT_VR_SETTINGS = {
+    moveSpeed: 2.5,          // Metres per second at full tilt
+    deadZone: 0.15,          // Thumbstick travel ignored around the centre
+    snapAngle: 30,           // Degrees per snap turn
+    snapThreshold: 0.7,      // Stick travel that fires a snap turn / starts aiming
+    teleportSpeed: 8,        // Launch speed of the teleport arc (m/s); sets its reach
+    teleportCooldown: 0.3    // Seconds between teleports
+};
+
+const UP = new THREE.Vector3(0, 1, 0);
+const ARC_STEPS = 40;
+const ARC_STEP_TIME = 0.05;
+const ARC_GRAVITY = -9.8;
+
+const _forward = new THREE.Vector3();
+const _right = new THREE.Vector3();
+const _displacement = new THREE.Vector3();
+const _head = new THREE.Vector3();
+const _body = new THREE.Vector3();
+const _before = new THREE.Vector3();
+const _arcPoint = new THREE.Vector3();
+const _arcNext = new THREE.Vector3();
+const _arcVelocity = new THREE.Vector3();
+const _segment = new THREE.Vector3();
+const _quaternion = new THREE.Quaternion();
+
+// xr-standard thumbsticks report on axes 2/3; some runtimes only expose 0/1
+function readStick(gamepad, deadZone) {
+    const axes = gamepad.axes;
+    const x = axes.length >= 4 ? axes[2] : axes[0] || 0;
+    const y = axes.length >= 4 ? axes[3] : axes[1] || 0;
+    const magnitude = Math.hypot(x, y);
+    if (magnitude <= deadZone) return [0, 0];
+    const scaled = Math.min((magnitude - deadZone) / (1 - deadZone), 1);
+    // Flip y so pushing forward is positive, like the touch joystick and gamepad
+    return [(x / magnitude) * scaled, -(y / magnitude) * scaled];
+}
+
+// capsule / walkSettings / moveResult are the FPS walker's own objects;
+// getGravity() and getKillPlaneY() read main.js state; findSpot(point) returns the eye
+// position for standing at a picked point (or null); onEnter() returns { position, yaw }
+// (eye position) to start from; onExit(position, yaw) hands the camera back
+export function createVRMode({
+    renderer, scene, camera, collisionWorld, capsule, walkSettings, moveResult,
+    getGravity, getKillPlaneY, findSpot, isWorldReady, onEnter, onExit, onRespawn,
+    settings = DEFAULT_VR_SETTINGS
+}) {
+    const xr = navigator.xr;
+    let supported = false;
+    let presenting = false;
+    let verticalVelocity = 0;
+    let snapArmed = true;
+    let aiming = false;
+    let teleportSpot = null;
+    let cooldown = 0;
+    let savedFov = camera.fov;
+    const triggers = new Set();
+    const listeners = [];
+
+    renderer.xr.enabled = true;
+    renderer.xr.setReferenceSpaceType('local-floor');
+
+    const rig = new THREE.Group();
+    rig.name = 'VRRig';
+
+    // --------------------- Controllers ---------------------
+    const pointerGeometry = new THREE.BufferGeometry().setFromPoints([
+        new THREE.Vector3(0, 0, 0),
+        new THREE.Vector3(0, 0, -0.3)
+    ]);
+    const pointerMaterial = new THREE.LineBasicMaterial({ color: 0xffffff });
+
+    const controllers = [0, 1].map((index) => {
+        const controller = renderer.xr.getController(index);
+        controller.add(new THREE.Line(pointerGeometry, pointerMaterial));
+        controller.addEventListener('connected', (e) => {
+            controller.userData.inputSource = e.data;
+        });
+        controller.addEventListener('disconnected', () => {
+            controller.userData.inputSource = null;
+            triggers.delete(controller);
+        });
+        controller.addEventListener('selectstart', () => triggers.add(controller));
+        controller.addEventListener('selectend', () => triggers.delete(controller));
+        rig.add(controller);
+        return controller;
+    });
+
+    function getController(handedness) {
+        return controllers.find((controller) => {
+            const source = controller.userData.inputSource;
+            return source && source.handedness === handedness;
+        }) || null;
+    }
+
+    // --------------------- Teleport Arc ---------------------
+    const arcGeometry = new THREE.BufferGeometry();
+    arcGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((ARC_STEPS + 1) * 3), 3));
+    const arcMaterial = new THREE.LineBasicMaterial({ color: 0x4caf50 });
+    const arc = new THREE.Line(arcGeometry, arcMaterial);
+    arc.frustumCulled = false;
+    arc.visible = false;
+
+    const marker = new THREE.Mesh(
+        new THREE.RingGeometry(0.25, 0.35, 32).rotateX(-Math.PI / 2),
+        new THREE.MeshBasicMaterial({ color: 0x4caf50, transparent: true, opacity: 0.8, depthTest: false })
+    );
+    marker.visible = false;
+
+    // Traces a ballistic arc from the controller; returns the landing eye position or null
+    function traceArc(controller) {
+        const positions = arcGeometry.attributes.position;
+        controller.getWorldPosition(_arcPoint);
+        controller.getWorldQuaternion(_quaternion);
+        _arcVelocity.set(0, 0, -1).applyQuaternion(_quaternion).multiplyScalar(settings.teleportSpeed);
+        positions.setXYZ(0, _arcPoint.x, _arcPoint.y, _arcPoint.z);
+
+        let count = 1;
+        let hit = null;
+        for (let i = 0; i < ARC_STEPS && !hit; i++) {
+            _arcNext.copy(_arcPoint).addScaledVector(_arcVelocity, ARC_STEP_TIME);
+            _arcVelocity.y += ARC_GRAVITY * ARC_STEP_TIME;
+            _segment.subVectors(_arcNext, _arcPoint);
+            const length = _segment.length();
+            hit = collisionWorld.raycast(_arcPoint, _segment.normalize(), length);
+            _arcPoint.copy(hit ? hit.point : _arcNext);
+            positions.setXYZ(count++, _arcPoint.x, _arcPoint.y, _arcPoint.z);
+        }
+        positions.needsUpdate = true;
+        arcGeometry.setDrawRange(0, count);
+
+        const spot = hit ? findSpot(hit.point) : null;
+        const color = spot ? 0x4caf50 : 0xf44336;
+        arcMaterial.color.setHex(color);
+        marker.material.color.setHex(color);
+        marker.visible = !!hit;
+        if (hit) marker.position.copy(hit.point);
+        return spot;
+    }
+
+    function stopAiming() {
+        aiming = false;
+        teleportSpot = null;
+        arc.visible = false;
+        marker.visible = false;
+    }
+
+    // --------------------- Rig ---------------------
+    // Headset position in world space (the camera's local pose is written by WebXR each frame)
+    function getHeadPosition(target = new THREE.Vector3()) {
+        rig.updateMatrixWorld();
+        return rig.localToWorld(target.copy(camera.position));
+    }
+
+    // Moves the rig so the visitor's head stands over `eye` with their feet on its floor
+    function moveTo(eye) {
+        getHeadPosition(_head);
+        rig.position.x += eye.x - _head.x;
+        rig.position.z += eye.z - _head.z;
+        rig.position.y = eye.y - capsule.eyeHeight;
+        verticalVelocity = 0;
+    }
+
+    // Turns the rig about the visitor's head rather than the rig origin
+    function turnBy(angle) {
+        getHeadPosition(_before);
+        rig.rotation.y += angle;
+        getHeadPosition(_head);
+        rig.position.x += _before.x - _head.x;
+        rig.position.z += _before.z - _head.z;
+    }
+
+    // --------------------- Session ---------------------
+    async function enter() {
+        if (!supported || presenting) return;
+        try {
+            const session = await xr.requestSession('immersive-vr', {
+                optionalFeatures: ['local-floor', 'bounded-floor']
+            });
+            await renderer.xr.setSession(session);
+        } catch (error) {
+            console.error('Could not start VR session:', error);
+        }
+    }
+
+    function exit() {
+        const session = renderer.xr.getSession();
+        if (session) session.end();
+    }
+
+    renderer.xr.addEventListener('sessionstart', () => {
+        const start = onEnter();
+        savedFov = camera.fov;
+        scene.add(rig);
+        scene.add(arc);
+        scene.add(marker);
+        rig.add(camera);
+        camera.position.set(0, 0, 0);
+        camera.quaternion.identity();
+        rig.rotation.set(0, start.yaw, 0);
+        rig.position.copy(start.position);
+        rig.position.y -= capsule.eyeHeight;
+        verticalVelocity = 0;
+        snapArmed = true;
+        presenting = true;
+        console.log('Entered VR');
+        notify();
+    });
+
+    renderer.xr.addEventListener('sessionend', () => {
+        const eye = getHeadPosition();
+        eye.y = rig.position.y + capsule.eyeHeight;
+        camera.getWorldDirection(_forward);
+        const yaw = Math.atan2(-_forward.x, -_forward.z);
+
+        stopAiming();
+        triggers.clear();
+        scene.remove(arc);
+        scene.remove(marker);
+        scene.add(camera); // Re-parents out of the rig
+        scene.remove(rig);
+        camera.fov = savedFov;
+        camera.updateProjectionMatrix();
+        presenting = false;
+        console.log('Left VR');
+        onExit(eye, yaw);
+        notify();
+    });
+
+    // --------------------- Per-frame ---------------------
+    function update(delta) {
+        if (!presenting) return;
+        cooldown = Math.max(cooldown - delta, 0);
+
+        const left = getController('left');
+        const right = getController('right') || (left ? null : controllers[0]);
+        const leftPad = left && left.userData.inputSource.gamepad;
+        const rightPad = right && right.userData.inputSource && right.userData.inputSource.gamepad;
+        const [moveX, moveY] = leftPad ? readStick(leftPad, settings.deadZone) : [0, 0];
+        const [turnX, aimY] = rightPad ? readStick(rightPad, settings.deadZone) : [0, 0];
+
+        // Snap turn fires once per flick; the stick has to come back before the next one
+        if (Math.abs(turnX) >= settings.snapThreshold && snapArmed && !aiming) {
+            snapArmed = false;
+            turnBy(-Math.sign(turnX) * THREE.MathUtils.degToRad(settings.snapAngle));
+        } else if (Math.abs(turnX) < settings.snapThreshold * 0.5) {
+            snapArmed = true;
+        }
+
+        if (!isWorldReady()) return;
+
+        // Teleport: aim while the stick is forward or a trigger is held, jump on release
+        const aimController = triggers.size > 0 ? [...triggers][0] : right;
+        const wantsAim = (aimY >= settings.snapThreshold || triggers.size > 0) && aimController && cooldown === 0;
+        if (wantsAim) {
+            aiming = true;
+            arc.visible = true;
+            teleportSpot = traceArc(aimController);
+        } else if (aiming) {
+            if (teleportSpot) {
+                moveTo(teleportSpot);
+                cooldown = settings.teleportCooldown;
+            }
+            stopAiming();
+        }
+
+        // Thumbstick walking relative to where the head faces, through the walker's sweep
+        camera.getWorldDirection(_forward);
+        _forward.y = 0;
+        if (_forward.lengthSq() < 1e-6) _forward.set(0, 0, -1);
+        _forward.normalize();
+        _right.crossVectors(_forward, UP).normalize();
+
+        const distance = settings.moveSpeed * delta;
+        _displacement.set(0, 0, 0)
+            .addScaledVector(_forward, moveY * distance)
+            .addScaledVector(_right, moveX * distance);
+        verticalVelocity += getGravity() * delta;
+        _displacement.y = verticalVelocity * delta;
+
+        getHeadPosition(_head);
+        _body.set(_head.x, rig.position.y + capsule.eyeHeight, _head.z);
+        _before.copy(_body);
+        collisionWorld.moveWalker(_body, _displacement, capsule, walkSettings, moveResult);
+        rig.position.add(_body.sub(_before));
+
+        if (moveResult.hitCeiling && verticalVelocity > 0) verticalVelocity = 0;
+        if (moveResult.grounded && verticalVelocity <= 0) verticalVelocity = 0;
+
+        const killPlane = getKillPlaneY();
+        if (killPlane !== null && rig.position.y < killPlane) {
+            moveTo(onRespawn());
+            console.log('Fell below the kill plane - respawned');
+        }
+    }
+
+    // --------------------- Support ---------------------
+    function checkSupport() {
+        if (!xr) {
+            console.log(window.isSecureContext ? 'WebXR not available in this browser' : 'WebXR needs https');
+            return;
+        }
+        xr.isSessionSupported('immersive-vr').then((value) => {
+            if (value === supported) return;
+            supported = value;
+            console.log(`VR ${supported ? 'available' : 'not available'}`);
+            notify();
+        }).catch((error) => {
+            console.warn('Could not check VR support:', error);
+        });
+    }
+
+    function subscribe(listener) {
+        listeners.push(listener);
+        listener(getState());
+    }
+
+    function notify() {
+        const state = getState();
+        listeners.forEach((listener) => listener(state));
+    }
+
+    function getState() {
+        return { supported, presenting };
+    }
+
+    checkSupport();
+    // Headsets plugged in (or an emulator switched on) after load
+    if (xr) xr.addEventListener('devicechange', checkSupport);
+
+    return {
+        enter,
+        exit,
+        update,
+        getHeadPosition,
+        isPresenting: () => presenting,
+        subscribe,
+        getState
+    };
+}
@@ -1,4 +1,33 @@
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+// Draco decoder shipped with three, served at /draco/ so models decode offline and the
+// decoder always matches the installed three version
+const DRACO_DIR = fileURLToPath(new URL('./node_modules/three/examples/jsm/libs/draco/gltf/', import.meta.url));
+const DRACO_FILES = ['draco_decoder.js', 'draco_decoder.wasm', 'draco_wasm_wrapper.js'];
+const DRACO_TYPES = { '.js': 'text/javascript', '.wasm': 'application/wasm' };
+
+function dracoDecoder() {
+    return {
+        name: 'draco-decoder',
+        configureServer(server) {
+            server.middlewares.use('/draco', (req, res, next) => {
+                const file = req.url.split('?')[0].replace(/^\//, '');
+                if (!DRACO_FILES.includes(file)) return next();
+                res.setHeader('Content-Type', DRACO_TYPES[file.slice(file.lastIndexOf('.'))]);
+                res.end(readFileSync(DRACO_DIR + file));
+            });
+        },
+        generateBundle() {
+            DRACO_FILES.forEach((file) => {
+                this.emitFile({ type: 'asset', fileName: `draco/${file}`, source: readFileSync(DRACO_DIR + file) });
+            });
+        }
+    };
+}
+
 export default {
     base: './',
-    assetsInclude: ['**/*.glb']
+    assetsInclude: ['**/*.glb'],
+    plugins: [dracoDecoder()]
 };